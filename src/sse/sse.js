@@ -9,6 +9,19 @@ This extension adds support for Server Sent Events to htmx.  See /www/extensions
   /** @type {import("../htmx").HtmxInternalApi} */
   var api
 
+  /**
+   * EventSources shared by sse-connect elements sending the same request
+   * @type {Object<string, SharedSource>}
+   */
+  var sharedSources = {}
+
+  /**
+   * Connection state of the elements.  It is kept apart from the internal data of htmx,
+   * which is reset when an element is processed again after its attributes changed.
+   * @type {WeakMap<HTMLElement, Object>}
+   */
+  var elementData = new WeakMap()
+
   htmx.defineExtension('sse', {
 
     /**
@@ -25,10 +38,42 @@ This extension adds support for Server Sent Events to htmx.  See /www/extensions
       if (htmx.createEventSource == undefined) {
         htmx.createEventSource = createEventSource
       }
+
+      // set an object in the public API for driving sse-connect elements from javascript
+      if (htmx.sse == undefined) {
+        htmx.sse = { get: getPublicInterface }
+      }
+
+      // default setting for the reconnect delay
+      if (!htmx.config.sseReconnectDelay) {
+        htmx.config.sseReconnectDelay = 'exponential'
+      }
+
+      // follow changes of the sse attributes made after the elements have been processed
+      if (typeof MutationObserver !== 'undefined') {
+        new MutationObserver(onAttributeMutations).observe(document, {
+          subtree: true,
+          attributes: true,
+          attributeFilter: ['sse-connect', 'data-sse-connect', 'sse-close', 'data-sse-close',
+            'sse-swap', 'data-sse-swap', 'sse-oob', 'data-sse-oob']
+        })
+      }
+
+      // pause and resume the connections of `sse-pause-when-hidden` elements
+      document.addEventListener('visibilitychange', function() {
+        var elements = document.querySelectorAll('[sse-pause-when-hidden], [data-sse-pause-when-hidden]')
+        forEach(elements, function(elt) {
+          if (document.visibilityState === 'hidden') {
+            schedulePause(elt)
+          } else {
+            resumeEventSource(elt)
+          }
+        })
+      })
     },
 
     getSelectors: function() {
-      return ['[sse-connect]', '[data-sse-connect]', '[sse-swap]', '[data-sse-swap]']
+      return ['[sse-connect]', '[data-sse-connect]', '[sse-swap]', '[data-sse-swap]', '[sse-oob]', '[data-sse-oob]']
     },
 
     /**
@@ -42,17 +87,8 @@ This extension adds support for Server Sent Events to htmx.  See /www/extensions
       var parent = evt.target || evt.detail.elt
       switch (name) {
         case 'htmx:beforeCleanupElement':
-          var internalData = api.getInternalData(parent)
           // Try to remove remove an EventSource when elements are removed
-          var source = internalData.sseEventSource
-          if (source) {
-            api.triggerEvent(parent, 'htmx:sseClose', {
-              source,
-              type: 'nodeReplaced',
-            })
-            internalData.sseEventSource.close()
-          }
-
+          releaseEventSource(parent, 'nodeReplaced')
           return
 
         // Try to create EventSources when elements are processed
@@ -70,23 +106,60 @@ This extension adds support for Server Sent Events to htmx.  See /www/extensions
    * createEventSource is the default method for creating new EventSource objects.
    * it is hoisted into htmx.config.createEventSource to be overridden by the user, if needed.
    *
+   * The options object carries the `lastEventId` of the previous connection when the
+   * element uses `sse-resume`.  The native EventSource cannot send it as a header, so
+   * the default implementation relies on the query parameter added by the extension,
+   * but custom implementations may forward it as a `Last-Event-ID` header instead.
+   *
+   * When the element uses `sse-transport="fetch"`, the options also describe the request
+   * to send, and a fetch based EventSource is returned instead of the native one.
+   *
    * @param {string} url
+   * @param {SSESourceOptions} [options]
    * @returns EventSource
    */
-  function createEventSource(url) {
+  function createEventSource(url, options) {
+    if (options && options.transport === 'fetch') {
+      return createFetchEventSource(url, options)
+    }
     return new EventSource(url, { withCredentials: true })
   }
 
+  /**
+   * @typedef {Object} SSESourceOptions
+   * @property {string} [lastEventId] the id of the last event received by the previous connection
+   * @property {'fetch'} [transport] set when the element uses `sse-transport="fetch"`
+   * @property {string} [method] the HTTP method used by the fetch transport
+   * @property {Object<string, string>} [headers] the request headers used by the fetch transport
+   * @property {string} [body] the url-encoded request body used by the fetch transport
+   * @property {'tab-leader'} [shared] set when the element uses `sse-shared="tab-leader"`
+   */
+
   /**
    * registerSSE looks for attributes that can contain sse events, right
-   * now hx-trigger and sse-swap and adds listeners based on these attributes too
+   * now hx-trigger, sse-swap and sse-oob and adds listeners based on these attributes too
    * the closest event source
    *
    * @param {HTMLElement} elt
    */
   function registerSSE(elt) {
-    // Add message handlers for every `sse-swap` attribute
+    // Remove the handlers added before the element was processed again
+    var previousSourceElement = api.getClosestMatch(elt, hasEventSource)
+    if (previousSourceElement) {
+      removeSourceListeners(previousSourceElement, elt)
+    }
+
+    // Add message handlers for every `sse-swap` attribute, and out of band
+    // message handlers for every `sse-oob` attribute
+    var swapHandlers = []
     if (api.getAttributeValue(elt, 'sse-swap')) {
+      swapHandlers.push({ names: api.getAttributeValue(elt, 'sse-swap'), swap })
+    }
+    if (api.hasAttribute(elt, 'sse-oob')) {
+      swapHandlers.push({ names: api.getAttributeValue(elt, 'sse-oob') || 'message', swap: swapOob })
+    }
+
+    if (swapHandlers.length > 0) {
       // Find closest existing event source
       var sourceElement = api.getClosestMatch(elt, hasEventSource)
       if (sourceElement == null) {
@@ -95,38 +168,45 @@ This extension adds support for Server Sent Events to htmx.  See /www/extensions
       }
 
       // Set internalData and source
-      var internalData = api.getInternalData(sourceElement)
+      var internalData = getInternalData(sourceElement)
       var source = internalData.sseEventSource
 
-      var sseSwapAttr = api.getAttributeValue(elt, 'sse-swap')
-      var sseEventNames = sseSwapAttr.split(',')
+      forEach(swapHandlers, function(swapHandler) {
+        var sseEventNames = swapHandler.names.split(',')
 
-      for (var i = 0; i < sseEventNames.length; i++) {
-        const sseEventName = sseEventNames[i].trim()
-        const listener = function(event) {
-          // If the source is missing then close SSE
-          if (maybeCloseSSESource(sourceElement)) {
-            return
-          }
+        for (var i = 0; i < sseEventNames.length; i++) {
+          const sseEventName = sseEventNames[i].trim()
+          const listener = function(event) {
+            // If the source is missing then close SSE
+            if (maybeCloseSSESource(sourceElement)) {
+              return
+            }
 
-          // If the body no longer contains the element, remove the listener
-          if (!api.bodyContains(elt)) {
-            source.removeEventListener(sseEventName, listener)
-            return
-          }
+            // If the body no longer contains the element, remove the listener
+            if (!api.bodyContains(elt)) {
+              source.removeEventListener(sseEventName, listener)
+              return
+            }
 
-          // swap the response into the DOM and trigger a notification
-          if (!api.triggerEvent(elt, 'htmx:sseBeforeMessage', event)) {
-            return
+            recordMessage(getInternalData(sourceElement).sseSharedSource, event)
+
+            // swap the response into the DOM and trigger a notification
+            if (!api.triggerEvent(elt, 'htmx:sseBeforeMessage', event)) {
+              return
+            }
+            if (swapHandler.swap === swap && api.hasAttribute(elt, 'sse-coalesce')) {
+              queueMessage(elt, event)
+              return
+            }
+            swapHandler.swap(elt, event.data)
+            api.triggerEvent(elt, 'htmx:sseMessage', event)
           }
-          swap(elt, event.data)
-          api.triggerEvent(elt, 'htmx:sseMessage', event)
-        }
 
-        // Register the new listener
-        api.getInternalData(elt).sseEventListener = listener
-        source.addEventListener(sseEventName, listener)
-      }
+          // Register the new listener
+          getInternalData(elt).sseEventListener = listener
+          addSourceListener(sourceElement, sseEventName, listener, elt)
+        }
+      })
     }
 
     // Add message handlers for every `hx-trigger="sse:*"` attribute
@@ -139,7 +219,7 @@ This extension adds support for Server Sent Events to htmx.  See /www/extensions
       }
 
       // Set internalData and source
-      var internalData = api.getInternalData(sourceElement)
+      var internalData = getInternalData(sourceElement)
       var source = internalData.sseEventSource
 
       var triggerSpecs = api.getTriggerSpecs(elt)
@@ -155,14 +235,15 @@ This extension adds support for Server Sent Events to htmx.  See /www/extensions
           if (!api.bodyContains(elt)) {
             source.removeEventListener(ts.trigger.slice(4), listener)
           }
+          recordMessage(getInternalData(sourceElement).sseSharedSource, event)
           // Trigger events to be handled by the rest of htmx
           htmx.trigger(elt, ts.trigger, event)
           htmx.trigger(elt, 'htmx:sseMessage', event)
         }
 
         // Register the new listener
-        api.getInternalData(elt).sseEventListener = listener
-        source.addEventListener(ts.trigger.slice(4), listener)
+        getInternalData(elt).sseEventListener = listener
+        addSourceListener(sourceElement, ts.trigger.slice(4), listener, elt)
       })
     }
   }
@@ -172,7 +253,7 @@ This extension adds support for Server Sent Events to htmx.  See /www/extensions
    * If a usable EventSource already exists, then it is returned.  If not, then a new EventSource
    * is created and stored in the element's internalData.
    * @param {HTMLElement} elt
-   * @param {number} retryCount
+   * @param {number} [retryCount] the number of reconnection attempts already made
    * @returns {EventSource | null}
    */
   function ensureEventSourceOnElement(elt, retryCount) {
@@ -187,104 +268,1365 @@ This extension adds support for Server Sent Events to htmx.  See /www/extensions
         return
       }
 
+      var internalData = getInternalData(elt)
+      var sharedSource = internalData.sseSharedSource
+      var connected = sharedSource != null && sharedSource.elements.indexOf(elt) >= 0
+      if (connected && sseURL === internalData.sseConnectURL &&
+          (sharedSource.source.readyState !== EventSource.CLOSED || internalData.sseRetryTimeout)) {
+        // the element is processed again, and keeps its live connection
+        setEventSource(elt, sharedSource.source)
+        registerSSE(elt)
+        return
+      }
+      if (internalData.sseClosed || internalData.ssePaused) {
+        return
+      }
+      if (connected && sseURL !== internalData.sseConnectURL) {
+        // the url was changed by a morph or before the element was processed again
+        releaseEventSource(elt, 'reconnect')
+      }
+
+      internalData.sseConnectURL = sseURL
       ensureEventSource(elt, sseURL, retryCount)
+      if (connected && !retryCount) {
+        // reconnection attempts register the descendants once they are open
+        registerDescendants(elt)
+      }
+
+      // a page loaded in the background pauses like a page that has just been hidden
+      if (document.visibilityState === 'hidden') {
+        schedulePause(elt)
+      }
     }
 
     registerSSE(elt)
   }
 
+  /**
+   * ensureEventSource connects the element to the provided url.  Unless the element uses
+   * `sse-shared="false"`, a live EventSource created for the same request by another
+   * element is reused instead of opening a new connection.  With `sse-shared="tab-leader"`,
+   * the connection is also shared with the other tabs of the browser.
+   *
+   * @param {HTMLElement} elt
+   * @param {string} url
+   * @param {number} [retryCount] the number of reconnection attempts already made
+   */
   function ensureEventSource(elt, url, retryCount) {
-    var source = htmx.createEventSource(url)
+    var internalData = getInternalData(elt)
+
+    /** @type {SSESourceOptions} */
+    var options = {}
+    if (api.getAttributeValue(elt, 'sse-transport') === 'fetch') {
+      var request = getFetchRequest(elt, url)
+      url = request.url
+      options.transport = 'fetch'
+      options.method = request.method
+      options.headers = request.headers
+      options.body = request.body
+    }
+
+    var sharedAttr = api.getAttributeValue(elt, 'sse-shared')
+    if (sharedAttr === 'tab-leader' && typeof BroadcastChannel !== 'undefined') {
+      options.shared = 'tab-leader'
+    }
+
+    var key = sharedAttr === 'false' ? null : getSharedSourceKey(url, options)
+    var sharedSource = key ? sharedSources[key] : null
+    if (sharedSource) {
+      // elements removed without being cleaned up by htmx release the source here
+      forEach(sharedSource.elements.slice(), maybeCloseSSESource)
+    }
+    if (sharedSource && sharedSource.elements.length > 0 && sharedSource.source.readyState !== EventSource.CLOSED) {
+      addSharedSourceElement(sharedSource, elt)
+      if (sharedSource.source.readyState === EventSource.OPEN) {
+        setConnectionState(elt, 'open', 0)
+        api.triggerEvent(elt, 'htmx:sseOpen', { source: sharedSource.source })
+      } else {
+        setConnectionState(elt, 'connecting', 0)
+      }
+      return
+    }
+
+    var resumeParam = getResumeParameter(elt)
+    // only the fetch transport sees the comments that servers usually send as keepalives
+    var heartbeat = options.transport === 'fetch' ? htmx.parseInterval(api.getAttributeValue(elt, 'sse-heartbeat')) : 0
+    options.lastEventId = resumeParam ? internalData.sseLastEventId : undefined
+    if (options.lastEventId) {
+      url = addQueryParameter(url, resumeParam, options.lastEventId)
+    }
+
+    var source = options.shared === 'tab-leader'
+      ? createTabSharedEventSource(url, options, 'htmx-sse:' + key)
+      : htmx.createEventSource(url, options)
+
+    /** @type {SharedSource} */
+    sharedSource = { key, source, elements: [] }
+    if (key) {
+      sharedSources[key] = sharedSource
+    }
 
     source.onerror = function(err) {
+      var elements = sharedSource.elements.slice()
+
       // Log an error event
-      api.triggerErrorEvent(elt, 'htmx:sseError', { error: err, source })
+      forEach(elements, function(elt) {
+        api.triggerErrorEvent(elt, 'htmx:sseError', { error: err, source })
+      })
 
-      // If parent no longer exists in the document, then clean up this EventSource
-      if (maybeCloseSSESource(elt)) {
-        return
-      }
+      // If parents no longer exist in the document, then clean up this EventSource
+      elements = elements.filter(function(elt) {
+        return !maybeCloseSSESource(elt)
+      })
 
       // Otherwise, try to reconnect the EventSource
-      if (source.readyState === EventSource.CLOSED) {
+      if (elements.length > 0 && source.readyState === EventSource.CLOSED) {
+        releaseSharedSourceKey(sharedSource)
+        retryCount = retryCount || 0
+        elements = elements.filter(function(elt) {
+          var maxRetries = parseInt(api.getAttributeValue(elt, 'sse-max-retries'), 10)
+          if (retryCount >= maxRetries) {
+            setConnectionState(elt, 'closed', retryCount)
+            api.triggerEvent(elt, 'htmx:sseGiveUp', { source, retryCount })
+            return false
+          }
+          setConnectionState(elt, 'reconnecting', retryCount + 1)
+          return true
+        })
+        if (elements.length === 0) {
+          return
+        }
+        var timeout = getSSEReconnectDelay(retryCount)
+        // the first element opens a new EventSource, and the others share it
+        forEach(elements, function(elt) {
+          var internalData = getInternalData(elt)
+          clearTimeout(internalData.sseRetryTimeout)
+          internalData.sseRetryTimeout = window.setTimeout(function() {
+            internalData.sseRetryTimeout = null
+            if (api.bodyContains(elt) && !internalData.ssePaused && !internalData.sseClosed) {
+              ensureEventSourceOnElement(elt, retryCount + 1)
+            }
+          }, timeout)
+        })
+      } else if (elements.length > 0 && source.readyState === EventSource.CONNECTING) {
+        // the EventSource reconnects by itself, but its attempts count toward sse-max-retries
         retryCount = retryCount || 0
-        retryCount = Math.max(Math.min(retryCount * 2, 128), 1)
-        var timeout = retryCount * 500
-        window.setTimeout(function() {
-          ensureEventSourceOnElement(elt, retryCount)
-        }, timeout)
+        elements = elements.filter(function(elt) {
+          var maxRetries = parseInt(api.getAttributeValue(elt, 'sse-max-retries'), 10)
+          if (retryCount >= maxRetries) {
+            setConnectionState(elt, 'closed', retryCount)
+            api.triggerEvent(elt, 'htmx:sseGiveUp', { source, retryCount })
+            return false
+          }
+          setConnectionState(elt, 'reconnecting', retryCount + 1)
+          return true
+        })
+        if (elements.length === 0) {
+          releaseSharedSourceKey(sharedSource)
+          clearTimeout(sharedSource.heartbeatTimeout)
+          source.close()
+          return
+        }
+        retryCount++
       }
     }
 
     source.onopen = function(evt) {
-      api.triggerEvent(elt, 'htmx:sseOpen', { source })
+      forEach(sharedSource.elements, function(elt) {
+        setConnectionState(elt, 'open', 0)
+        api.triggerEvent(elt, 'htmx:sseOpen', { source })
 
-      if (retryCount && retryCount > 0) {
-        const childrenToFix = elt.querySelectorAll("[sse-swap], [data-sse-swap], [hx-trigger], [data-hx-trigger]")
-        for (let i = 0; i < childrenToFix.length; i++) {
-          registerSSE(childrenToFix[i])
+        if (retryCount && retryCount > 0) {
+          registerDescendants(elt)
         }
-        // We want to increase the reconnection delay for consecutive failed attempts only
-        retryCount = 0
+      })
+      // We want to increase the reconnection delay for consecutive failed attempts only
+      retryCount = 0
+
+      if (heartbeat > 0) {
+        watchHeartbeat(sharedSource, heartbeat)
       }
     }
 
-    api.getInternalData(elt).sseEventSource = source
+    if (resumeParam || heartbeat > 0) {
+      // unnamed events don't go through any sse-swap or hx-trigger listener, so track them here
+      source.addEventListener('message', function(event) {
+        recordMessage(sharedSource, event)
+      })
+    }
+
+    addSharedSourceElement(sharedSource, elt)
+    setConnectionState(elt, retryCount > 0 ? 'reconnecting' : 'connecting', retryCount || 0)
+  }
+
+  /**
+   * @typedef {Object} SharedSource
+   * @property {string | null} key the key of this source in the registry, null if it is not shared
+   * @property {EventSource} source
+   * @property {HTMLElement[]} elements the sse-connect elements using this source
+   * @property {number} [lastActivity] the time of the last received message
+   * @property {number} [heartbeatTimeout] the timer checking the `sse-heartbeat` of the source
+   */
+
+  /**
+   * getSharedSourceKey returns the key used to share EventSources between elements: only
+   * elements sending exactly the same request can share a connection.  The headers that
+   * identify the element itself are left out, the first element's values are sent.
+   *
+   * @param {string} url
+   * @param {SSESourceOptions} options
+   * @returns {string}
+   */
+  function getSharedSourceKey(url, options) {
+    var headers = Object.assign({}, options.headers)
+    delete headers['HX-Trigger']
+    delete headers['HX-Trigger-Name']
+    delete headers['HX-Target']
+    return JSON.stringify([url, options.transport, options.method, options.body, headers, options.shared])
+  }
 
+  /**
+   * addSharedSourceElement stores the shared EventSource on the element, and listens for its
+   * `sse-close` message if it has one.  The element lets go of any other source it still
+   * holds, such as the closed source it is reconnecting from.
+   *
+   * @param {SharedSource} sharedSource
+   * @param {HTMLElement} elt
+   */
+  function addSharedSourceElement(sharedSource, elt) {
+    var internalData = getInternalData(elt)
+    var source = sharedSource.source
+    if (internalData.sseSharedSource === sharedSource && sharedSource.elements.indexOf(elt) >= 0) {
+      return
+    }
+    detachEventSource(elt)
+    setEventSource(elt, source)
+    internalData.sseSharedSource = sharedSource
+    sharedSource.elements.push(elt)
+    forEach(internalData.sseUserListeners, function(userListener) {
+      addSourceListener(elt, userListener.name, userListener.listener)
+    })
+    addCloseListener(elt)
+  }
 
+  /**
+   * addCloseListener releases the EventSource of the element when its `sse-close`
+   * message is received.
+   *
+   * @param {HTMLElement} elt
+   */
+  function addCloseListener(elt) {
+    var internalData = getInternalData(elt)
     var closeAttribute = api.getAttributeValue(elt, "sse-close");
     if (closeAttribute) {
       // close eventsource when this message is received
-      source.addEventListener(closeAttribute, function() {
-        api.triggerEvent(elt, 'htmx:sseClose', {
-          source,
-          type: 'message',
-        })
-        source.close()
-      });
+      var closeListener = function(event) {
+        recordMessage(internalData.sseSharedSource, event)
+        releaseEventSource(elt, 'message')
+      }
+      internalData.sseCloseListener = { name: closeAttribute, listener: closeListener }
+      internalData.sseEventSource.addEventListener(closeAttribute, closeListener);
     }
   }
 
   /**
-   * maybeCloseSSESource confirms that the parent element still exists.
-   * If not, then any associated SSE source is closed and the function returns true.
+   * @param {HTMLElement} elt
+   */
+  function removeCloseListener(elt) {
+    var internalData = getInternalData(elt)
+    if (internalData.sseCloseListener) {
+      internalData.sseEventSource.removeEventListener(internalData.sseCloseListener.name, internalData.sseCloseListener.listener)
+      internalData.sseCloseListener = null
+    }
+  }
+
+  /**
+   * releaseEventSource detaches the element from its EventSource and triggers htmx:sseClose.
+   * The EventSource is closed once no element uses it anymore.
    *
    * @param {HTMLElement} elt
-   * @returns boolean
+   * @param {'nodeReplaced' | 'nodeMissing' | 'message' | 'paused' | 'closed' | 'reconnect'} type
    */
-  function maybeCloseSSESource(elt) {
-    if (!api.bodyContains(elt)) {
-      var source = api.getInternalData(elt).sseEventSource
-      if (source != undefined) {
-        api.triggerEvent(elt, 'htmx:sseClose', {
-          source,
-          type: 'nodeMissing',
-        })
-        source.close()
-        // source = null
-        return true
+  function releaseEventSource(elt, type) {
+    var internalData = getInternalData(elt)
+    clearTimeout(internalData.sseRetryTimeout)
+    internalData.sseRetryTimeout = null
+    var sharedSource = internalData.sseSharedSource
+    var source = internalData.sseEventSource
+    if (!sharedSource || sharedSource.elements.indexOf(elt) < 0) {
+      return
+    }
+
+    setConnectionState(elt, 'closed', 0)
+    api.triggerEvent(elt, 'htmx:sseClose', { source, type })
+    detachEventSource(elt)
+  }
+
+  /**
+   * detachEventSource removes the element and its listeners from the source it holds, and
+   * closes the EventSource once no element uses it anymore.
+   *
+   * @param {HTMLElement} elt
+   */
+  function detachEventSource(elt) {
+    var internalData = getInternalData(elt)
+    var sharedSource = internalData.sseSharedSource
+    removeSourceListeners(elt)
+    removeCloseListener(elt)
+    if (!sharedSource || sharedSource.elements.indexOf(elt) < 0) {
+      return
+    }
+
+    sharedSource.elements = sharedSource.elements.filter(function(element) {
+      return element !== elt
+    })
+    if (sharedSource.elements.length === 0) {
+      releaseSharedSourceKey(sharedSource)
+      clearTimeout(sharedSource.heartbeatTimeout)
+      sharedSource.source.close()
+    }
+  }
+
+  /**
+   * @typedef {Object} SSEPublicInterface
+   * @property {EventSource} source the current EventSource of the element
+   * @property {(url?: string) => void} reconnect closes the current connection and opens a new one, to the given url if provided
+   * @property {() => void} close closes the connection until reconnect is called
+   * @property {(name: string, listener: (event: MessageEvent) => void) => () => void} on listens for an event name, and returns a function removing the listener
+   */
+
+  /**
+   * getPublicInterface returns the object exposed as `htmx.sse.get(elt)` to drive the
+   * connection of the closest sse-connect element, or null if there is none.
+   *
+   * @param {HTMLElement | string} elt
+   * @returns {SSEPublicInterface | null}
+   */
+  function getPublicInterface(elt) {
+    if (typeof elt === 'string') {
+      elt = htmx.find(elt)
+    }
+    var sourceElement = elt ? api.getClosestMatch(elt, hasEventSource) : null
+    if (sourceElement == null) {
+      return null
+    }
+
+    var internalData = getInternalData(sourceElement)
+    if (!internalData.ssePublicInterface) {
+      internalData.ssePublicInterface = {
+        get source() {
+          return internalData.sseEventSource
+        },
+
+        reconnect: function(url) {
+          if (url) {
+            sourceElement.setAttribute(sourceElement.hasAttribute('data-sse-connect') ? 'data-sse-connect' : 'sse-connect', url)
+          }
+          reconnectEventSource(sourceElement)
+        },
+
+        close: function() {
+          internalData.sseClosed = true
+          internalData.ssePaused = false
+          releaseEventSource(sourceElement, 'closed')
+        },
+
+        on: function(name, fn) {
+          var userListener = {
+            name,
+            listener: function(event) {
+              recordMessage(internalData.sseSharedSource, event)
+              fn(event)
+            }
+          }
+          internalData.sseUserListeners = (internalData.sseUserListeners || []).concat([userListener])
+          if (internalData.sseSharedSource.elements.indexOf(sourceElement) >= 0) {
+            addSourceListener(sourceElement, name, userListener.listener)
+          }
+          return function() {
+            internalData.sseUserListeners = internalData.sseUserListeners.filter(function(l) {
+              return l !== userListener
+            })
+            internalData.sseEventSource.removeEventListener(name, userListener.listener)
+          }
+        }
       }
     }
-    return false
+    return internalData.ssePublicInterface
+  }
+
+  /**
+   * reconnectEventSource closes the connection of the element, and opens a new one using
+   * its current attributes.
+   *
+   * @param {HTMLElement} elt
+   */
+  function reconnectEventSource(elt) {
+    var internalData = getInternalData(elt)
+    // releasing the element also cancels its pending reconnection attempt
+    releaseEventSource(elt, 'reconnect')
+    internalData.ssePaused = false
+    internalData.sseClosed = false
+    ensureEventSourceOnElement(elt)
+    registerDescendants(elt)
   }
 
+  /**
+   * onAttributeMutations applies the changes of sse attributes to processed elements: a new
+   * `sse-connect` url reconnects the element, a removed one closes its connection, and the
+   * listeners of changed `sse-close`, `sse-swap` and `sse-oob` attributes are replaced.
+   *
+   * @param {MutationRecord[]} mutations
+   */
+  function onAttributeMutations(mutations) {
+    var connectElements = []
+    var swapElements = []
+    forEach(mutations, function(mutation) {
+      var elt = mutation.target
+      var attributeName = mutation.attributeName.replace(/^data-/, '')
+      if (!api.bodyContains(elt) || !usesSSEExtension(elt)) {
+        return
+      }
+      var elements = attributeName === 'sse-connect' || attributeName === 'sse-close' ? connectElements : swapElements
+      if (elements.indexOf(elt) < 0) {
+        elements.push(elt)
+      }
+    })
+
+    // listeners are replaced first, as reconnections register the descendants again anyway
+    forEach(swapElements, function(elt) {
+      var sourceElement = api.getClosestMatch(elt, hasEventSource)
+      if (sourceElement) {
+        getInternalData(elt).sseEventListener = null
+        registerSSE(elt)
+      }
+    })
+
+    forEach(connectElements, function(elt) {
+      var internalData = getInternalData(elt)
+      var url = api.getAttributeValue(elt, 'sse-connect')
+      if (url && url === internalData.sseConnectURL) {
+        // only sse-close changed, or the url was already used by htmx.sse.get(elt).reconnect(url)
+        if (internalData.sseSharedSource && internalData.sseSharedSource.elements.indexOf(elt) >= 0) {
+          removeCloseListener(elt)
+          addCloseListener(elt)
+        }
+      } else if (url) {
+        reconnectEventSource(elt)
+      } else if (internalData.sseEventSource) {
+        releaseEventSource(elt, 'reconnect')
+        setEventSource(elt, null)
+        internalData.sseConnectURL = null
+      }
+    })
+  }
 
   /**
    * @param {HTMLElement} elt
-   * @param {string} content
+   * @returns {boolean}
    */
-  function swap(elt, content) {
-    api.withExtensions(elt, function(extension) {
-      content = extension.transformResponse(content, null, elt)
+  function usesSSEExtension(elt) {
+    return api.getClosestMatch(elt, function(node) {
+      var extensions = api.getAttributeValue(node, 'hx-ext')
+      return extensions != null && extensions.split(',').map(function(ext) {
+        return ext.trim()
+      }).indexOf('sse') >= 0
+    }) != null
+  }
+
+  /**
+   * addSourceListener adds a message listener to the EventSource of the sse-connect element,
+   * and keeps track of it so that it is removed when the element lets go of the EventSource.
+   *
+   * @param {HTMLElement} sourceElement
+   * @param {string} name
+   * @param {EventListener} listener
+   * @param {HTMLElement} [owner] the element whose attribute added the listener
+   */
+  function addSourceListener(sourceElement, name, listener, owner) {
+    var internalData = getInternalData(sourceElement)
+    internalData.sseListeners = internalData.sseListeners || []
+    internalData.sseListeners.push({ name, listener, owner })
+    internalData.sseEventSource.addEventListener(name, listener)
+  }
+
+  /**
+   * removeSourceListeners removes the message listeners added to the EventSource of the
+   * sse-connect element, or only the ones added by the owner element if provided.
+   *
+   * @param {HTMLElement} sourceElement
+   * @param {HTMLElement} [owner]
+   */
+  function removeSourceListeners(sourceElement, owner) {
+    var internalData = getInternalData(sourceElement)
+    internalData.sseListeners = (internalData.sseListeners || []).filter(function(sourceListener) {
+      if (owner && sourceListener.owner !== owner) {
+        return true
+      }
+      internalData.sseEventSource.removeEventListener(sourceListener.name, sourceListener.listener)
+      return false
     })
+  }
 
-    var swapSpec = api.getSwapSpecification(elt)
-    var target = api.getTarget(elt)
-    api.swap(target, content, swapSpec, { contextElement: elt })
+  /**
+   * registerDescendants adds the message listeners of the descendants using the EventSource
+   * of the sse-connect element, after it has connected again.
+   *
+   * @param {HTMLElement} elt
+   */
+  function registerDescendants(elt) {
+    var descendants = elt.querySelectorAll('[sse-swap], [data-sse-swap], [sse-oob], [data-sse-oob], [hx-trigger], [data-hx-trigger]')
+    forEach(descendants, function(descendant) {
+      if (api.getClosestMatch(descendant, hasEventSource) === elt) {
+        registerSSE(descendant)
+      }
+    })
   }
 
+  /**
+   * schedulePause closes the connection of an `sse-pause-when-hidden` element once the page
+   * has been hidden for the grace period given by the attribute (immediately by default).
+   * The pause can be prevented by cancelling the htmx:ssePause event.
+   *
+   * @param {HTMLElement} elt
+   */
+  function schedulePause(elt) {
+    var internalData = getInternalData(elt)
+    if (!api.hasAttribute(elt, 'sse-pause-when-hidden') || internalData.ssePaused) {
+      return
+    }
+    var gracePeriod = htmx.parseInterval(api.getAttributeValue(elt, 'sse-pause-when-hidden'))
+    clearTimeout(internalData.ssePauseTimeout)
+    internalData.ssePauseTimeout = setTimeout(function() {
+      var sharedSource = internalData.sseSharedSource
+      if (document.visibilityState !== 'hidden' || maybeCloseSSESource(elt) ||
+          !sharedSource || sharedSource.elements.indexOf(elt) < 0) {
+        return
+      }
+      if (api.triggerEvent(elt, 'htmx:ssePause', { source: sharedSource.source })) {
+        internalData.ssePaused = true
+        releaseEventSource(elt, 'paused')
+      }
+    }, gracePeriod > 0 ? gracePeriod : 0)
+  }
 
-  function hasEventSource(node) {
-    return api.getInternalData(node).sseEventSource != null
+  /**
+   * resumeEventSource connects a paused element again, sending the id of the last received
+   * event if it uses `sse-resume`.
+   *
+   * @param {HTMLElement} elt
+   */
+  function resumeEventSource(elt) {
+    var internalData = getInternalData(elt)
+    clearTimeout(internalData.ssePauseTimeout)
+    if (!internalData.ssePaused) {
+      return
+    }
+    internalData.ssePaused = false
+    if (api.bodyContains(elt)) {
+      ensureEventSourceOnElement(elt)
+      registerDescendants(elt)
+      api.triggerEvent(elt, 'htmx:sseResume', { source: internalData.sseEventSource })
+    }
+  }
+
+  /**
+   * setConnectionState shows the state of the connection in the `sse-state` and
+   * `sse-retry-count` attributes of the sse-connect element, and as a `sse-<state>` class
+   * on the element selected by its `sse-status-target` attribute.
+   *
+   * @param {HTMLElement} elt
+   * @param {'connecting' | 'open' | 'reconnecting' | 'closed'} state
+   * @param {number} retryCount
+   */
+  function setConnectionState(elt, state, retryCount) {
+    elt.setAttribute('sse-state', state)
+    elt.setAttribute('sse-retry-count', String(retryCount))
+
+    var statusSelector = api.getAttributeValue(elt, 'sse-status-target')
+    var statusTarget = statusSelector ? api.querySelectorExt(elt, statusSelector) : null
+    if (statusTarget) {
+      forEach(['connecting', 'open', 'reconnecting', 'closed'], function(otherState) {
+        statusTarget.classList.toggle('sse-' + otherState, otherState === state)
+      })
+    }
+  }
+
+  /**
+   * releaseSharedSourceKey removes the source from the registry, so that no other element
+   * can start sharing it.
+   *
+   * @param {SharedSource} sharedSource
+   */
+  function releaseSharedSourceKey(sharedSource) {
+    if (sharedSource.key && sharedSources[sharedSource.key] === sharedSource) {
+      delete sharedSources[sharedSource.key]
+    }
+  }
+
+  /**
+   * getSSEReconnectDelay returns the delay before the next reconnection attempt, according to
+   * htmx.config.sseReconnectDelay.  It can either be a function, or one of these strategies:
+   * - "exponential" (the default) starts at 500ms and doubles on every attempt, up to 64s
+   * - "full-jitter" picks a random delay between 0 and the "exponential" one, so that many
+   *   clients disconnected at the same time don't all reconnect at the same time
+   *
+   * @param {number} retryCount the number of reconnection attempts that have already failed
+   * @returns {number}
+   */
+  function getSSEReconnectDelay(retryCount) {
+    /** @type {"exponential" | "full-jitter" | ((retryCount: number) => number)} */
+    var delay = htmx.config.sseReconnectDelay
+    if (typeof delay === 'function') {
+      return delay(retryCount)
+    }
+    var maxDelay = 500 * Math.pow(2, Math.min(retryCount, 7))
+    if (delay === 'full-jitter') {
+      return maxDelay * Math.random()
+    }
+    return maxDelay
+  }
+
+  /**
+   * watchHeartbeat treats an open EventSource as dead when it has not received anything
+   * for the `sse-heartbeat` interval of the element that created it: htmx:sseStalled is
+   * triggered, and the source is closed and reconnected like after a connection error.
+   * `sse-heartbeat` only applies to the fetch transport (`sse-transport="fetch"`), which
+   * records the time of every received line, comments included, as the `lastActivity` of
+   * the source.  The native EventSource doesn't expose comments, so a healthy stream kept
+   * alive by `: ping` comments would look stalled: the attribute is ignored there.
+   *
+   * @param {SharedSource} sharedSource
+   * @param {number} heartbeat
+   */
+  function watchHeartbeat(sharedSource, heartbeat) {
+    var check = function() {
+      var source = sharedSource.source
+      if (source.readyState !== EventSource.OPEN) {
+        return
+      }
+      var idle = Date.now() - Math.max(sharedSource.lastActivity, source.lastActivity || 0)
+      if (idle < heartbeat) {
+        sharedSource.heartbeatTimeout = setTimeout(check, heartbeat - idle)
+        return
+      }
+
+      forEach(sharedSource.elements, function(elt) {
+        api.triggerEvent(elt, 'htmx:sseStalled', { source, heartbeat })
+      })
+      source.close()
+      source.onerror(new Event('error'))
+    }
+
+    sharedSource.lastActivity = Date.now()
+    clearTimeout(sharedSource.heartbeatTimeout)
+    sharedSource.heartbeatTimeout = setTimeout(check, heartbeat)
+  }
+
+  /**
+   * getResumeParameter returns the name of the query parameter used to send the last
+   * received event id when reconnecting, or null if the element did not opt in with
+   * the `sse-resume` attribute.  A bare `sse-resume` uses the `lastEventId` parameter.
+   *
+   * @param {HTMLElement} elt
+   * @returns {string | null}
+   */
+  function getResumeParameter(elt) {
+    if (!api.hasAttribute(elt, 'sse-resume')) {
+      return null
+    }
+    var resumeAttr = api.getAttributeValue(elt, 'sse-resume')
+    if (!resumeAttr || resumeAttr === 'true') {
+      return 'lastEventId'
+    }
+    return resumeAttr === 'false' ? null : resumeAttr
+  }
+
+  /**
+   * recordMessage is called for every received message.  It stores the id of the event on
+   * the elements holding the EventSource, so that it can be sent back to the server on the
+   * next reconnection, and the time of the message for `sse-heartbeat`.
+   *
+   * @param {SharedSource} sharedSource
+   * @param {MessageEvent} event
+   */
+  function recordMessage(sharedSource, event) {
+    if (sharedSource) {
+      sharedSource.lastActivity = Date.now()
+    }
+    if (sharedSource && event && event.lastEventId) {
+      forEach(sharedSource.elements, function(elt) {
+        getInternalData(elt).sseLastEventId = event.lastEventId
+      })
+    }
+  }
+
+  /**
+   * @param {string} url
+   * @param {string} name
+   * @param {string} value
+   * @returns {string}
+   */
+  function addQueryParameter(url, name, value) {
+    var hashIndex = url.indexOf('#')
+    var hash = hashIndex >= 0 ? url.slice(hashIndex) : ''
+    var base = hashIndex >= 0 ? url.slice(0, hashIndex) : url
+    var separator = base.indexOf('?') >= 0 ? '&' : '?'
+    return base + separator + encodeURIComponent(name) + '=' + encodeURIComponent(value) + hash
+  }
+
+  /**
+   * maybeCloseSSESource confirms that the parent element still exists.
+   * If not, then any associated SSE source is closed and the function returns true.
+   *
+   * @param {HTMLElement} elt
+   * @returns boolean
+   */
+  function maybeCloseSSESource(elt) {
+    if (!api.bodyContains(elt)) {
+      var source = getInternalData(elt).sseEventSource
+      if (source != undefined) {
+        releaseEventSource(elt, 'nodeMissing')
+        return true
+      }
+    }
+    return false
+  }
+
+  /**
+   * swap handles messages of `sse-swap` elements.  When appending to a list, the oldest
+   * entries beyond `sse-max-items` are removed, and with `sse-autoscroll` the target stays
+   * scrolled to the bottom, unless the user has scrolled up.
+   *
+   * @param {HTMLElement} elt
+   * @param {string} content
+   */
+  function swap(elt, content) {
+    if (api.getClosestAttributeValue(elt, 'sse-format') === 'json') {
+      swapJSON(elt, content)
+      return
+    }
+
+    api.withExtensions(elt, function(extension) {
+      content = extension.transformResponse(content, null, elt)
+    })
+
+    var swapSpec = api.getSwapSpecification(elt)
+    var target = api.getTarget(elt)
+    var scrollToBottom = api.hasAttribute(elt, 'sse-autoscroll') &&
+      target.scrollHeight - target.scrollTop - target.clientHeight <= 1
+    api.swap(target, content, swapSpec, { contextElement: elt })
+
+    var maxItems = parseInt(api.getAttributeValue(elt, 'sse-max-items'), 10)
+    while (target.children.length > maxItems) {
+      // the oldest entries are at the end of lists growing from the top
+      htmx.remove(swapSpec.swapStyle === 'afterbegin' ? target.lastElementChild : target.firstElementChild)
+    }
+    if (scrollToBottom) {
+      target.scrollTop = target.scrollHeight
+    }
+  }
+
+  /**
+   * queueMessage delays the swap of messages received by `sse-coalesce` elements until the
+   * next animation frame, so that bursts of messages are swapped all at once.  Messages
+   * appended to the target are joined, otherwise only the last message is swapped.
+   * Animation frames don't run in hidden pages, so a timer swaps the messages there.
+   *
+   * @param {HTMLElement} elt
+   * @param {MessageEvent} event
+   */
+  function queueMessage(elt, event) {
+    var internalData = getInternalData(elt)
+    if (internalData.sseQueuedMessages) {
+      internalData.sseQueuedMessages.push(event)
+      return
+    }
+
+    internalData.sseQueuedMessages = [event]
+    var frame = requestAnimationFrame(flush)
+    var timeout = setTimeout(flush, 100)
+
+    function flush() {
+      cancelAnimationFrame(frame)
+      clearTimeout(timeout)
+      var events = internalData.sseQueuedMessages
+      internalData.sseQueuedMessages = null
+      if (!api.bodyContains(elt)) {
+        return
+      }
+
+      if (api.getClosestAttributeValue(elt, 'sse-format') === 'json') {
+        forEach(events, function(event) {
+          swapJSON(elt, event.data)
+        })
+      } else {
+        var data = events.map(function(event) {
+          return event.data
+        })
+        var swapStyle = api.getSwapSpecification(elt).swapStyle
+        if (swapStyle === 'afterbegin' || swapStyle === 'beforebegin') {
+          swap(elt, data.reverse().join(''))
+        } else if (swapStyle === 'beforeend' || swapStyle === 'afterend') {
+          swap(elt, data.join(''))
+        } else {
+          swap(elt, data[data.length - 1])
+        }
+      }
+
+      forEach(events, function(event) {
+        api.triggerEvent(elt, 'htmx:sseMessage', event)
+      })
+    }
+  }
+
+  /**
+   * swapOob handles messages of `sse-oob` elements: like messages received by the ws
+   * extension, every top level element of the message is swapped out of band, using its
+   * hx-swap-oob attribute, or replacing the element with the same id by default.
+   *
+   * @param {HTMLElement} elt
+   * @param {string} content
+   */
+  function swapOob(elt, content) {
+    api.withExtensions(elt, function(extension) {
+      content = extension.transformResponse(content, null, elt)
+    })
+
+    var settleInfo = api.makeSettleInfo(elt)
+    var fragment = api.makeFragment(content)
+    forEach(Array.from(fragment.children), function(child) {
+      api.oobSwap(api.getAttributeValue(child, 'hx-swap-oob') || 'true', child, settleInfo)
+    })
+    api.settleImmediately(settleInfo.tasks)
+  }
+
+  /**
+   * swapJSON handles messages of elements using `sse-format="json"`.  The message is either
+   * a JSON object or an array of them, each describing a swap (other values raise an
+   * htmx:sseParseError):
+   * - `target`: an extended css selector, the element's hx-target is used if missing
+   * - `swap`: an hx-swap value, the element's hx-swap is used if missing
+   * - `html`: the content to swap
+   * If there is no `html` property, the `data` property (or the whole object) is passed
+   * as JSON to the transformResponse of the element's extensions, so that templating
+   * extensions such as client-side-templates can render it.
+   *
+   * @param {HTMLElement} elt
+   * @param {string} content
+   */
+  function swapJSON(elt, content) {
+    var payload
+    try {
+      payload = JSON.parse(content)
+    } catch (error) {
+      api.triggerErrorEvent(elt, 'htmx:sseParseError', { error, data: content })
+      return
+    }
+
+    forEach(Array.isArray(payload) ? payload : [payload], function(patch) {
+      if (patch === null || typeof patch !== 'object') {
+        api.triggerErrorEvent(elt, 'htmx:sseParseError', { error: new TypeError('the swap is not an object'), data: content })
+        return
+      }
+
+      var target = patch.target ? api.querySelectorExt(elt, patch.target) : api.getTarget(elt)
+      if (!target) {
+        api.triggerErrorEvent(elt, 'htmx:targetError', { target: patch.target })
+        return
+      }
+
+      var html = patch.html
+      if (html == null) {
+        html = JSON.stringify(patch.data !== undefined ? patch.data : patch)
+        api.withExtensions(elt, function(extension) {
+          html = extension.transformResponse(html, null, elt)
+        })
+      }
+
+      api.swap(target, html, api.getSwapSpecification(elt, patch.swap), { contextElement: elt })
+    })
+  }
+
+  function hasEventSource(node) {
+    return getInternalData(node).sseEventSource != null
+  }
+
+  /**
+   * getInternalData returns the connection state of the element kept by the extension.
+   *
+   * @param {HTMLElement} elt
+   * @returns {Object}
+   */
+  function getInternalData(elt) {
+    var data = elementData.get(elt)
+    if (!data) {
+      data = {}
+      elementData.set(elt, data)
+    }
+    return data
+  }
+
+  /**
+   * setEventSource stores the EventSource of the element, and mirrors it in the internal
+   * data of htmx for the code reading it from there.
+   *
+   * @param {HTMLElement} elt
+   * @param {EventSource | null} source
+   */
+  function setEventSource(elt, source) {
+    getInternalData(elt).sseEventSource = source
+    api.getInternalData(elt).sseEventSource = source
+  }
+
+  /**
+   * @template T
+   * @param {T[]} arr
+   * @param {(T) => void} func
+   */
+  function forEach(arr, func) {
+    if (arr) {
+      for (var i = 0; i < arr.length; i++) {
+        func(arr[i])
+      }
+    }
+  }
+
+  /// ////////////////////////////////////////////
+  // CUSTOM EVENT SOURCES
+  /// ////////////////////////////////////////////
+
+  /**
+   * createEventSourceObject returns the common part of the EventSource implementations of
+   * this extension: event listeners and dispatching.  Each implementation sets the readyState
+   * and provides its own close() method.
+   *
+   * @param {string} url
+   * @param {string} [lastEventId]
+   * @returns {EventSource}
+   */
+  function createEventSourceObject(url, lastEventId) {
+    var listeners = {}
+    var source = {
+      CONNECTING: 0,
+      OPEN: 1,
+      CLOSED: 2,
+      url,
+      withCredentials: true,
+      readyState: 0,
+      lastEventId: lastEventId || '',
+      onopen: null,
+      onmessage: null,
+      onerror: null,
+
+      addEventListener: function(type, listener) {
+        (listeners[type] = listeners[type] || []).push(listener)
+      },
+
+      removeEventListener: function(type, listener) {
+        if (listeners[type]) {
+          listeners[type] = listeners[type].filter(function(l) { return l !== listener })
+        }
+      },
+
+      dispatchEvent: function(event) {
+        var handler = source['on' + event.type]
+        if (typeof handler === 'function') {
+          callListener(handler, event)
+        }
+        (listeners[event.type] || []).slice().forEach(function(listener) {
+          callListener(listener, event)
+        })
+        return true
+      },
+
+      close: function() {
+        source.readyState = source.CLOSED
+      }
+    }
+
+    // like native event targets, an error thrown by a listener is reported without
+    // preventing the other listeners from running, nor ending the stream
+    function callListener(listener, event) {
+      try {
+        listener.call(source, event)
+      } catch (error) {
+        if (typeof reportError === 'function') {
+          reportError(error)
+        } else {
+          setTimeout(function() { throw error })
+        }
+      }
+    }
+
+    return /** @type {EventSource} */ (/** @type {unknown} */ (source))
+  }
+
+  /**
+   * getFetchRequest builds the request sent by the fetch transport, honouring hx-headers,
+   * hx-vals, hx-include and hx-params the same way regular htmx requests do.  Parameters
+   * are added to the query string for GET requests, and sent url-encoded otherwise.
+   *
+   * @param {HTMLElement} elt
+   * @param {string} url
+   * @returns {{url: string, method: string, headers: Object<string, string>, body: string | undefined}}
+   */
+  function getFetchRequest(elt, url) {
+    var method = (api.getAttributeValue(elt, 'sse-method') || 'get').toLowerCase()
+
+    var headers = { Accept: 'text/event-stream' }
+    var htmxHeaders = api.getHeaders(elt, api.getTarget(elt))
+    for (var name in htmxHeaders) {
+      if (htmxHeaders[name] != null) {
+        headers[name] = String(htmxHeaders[name])
+      }
+    }
+
+    var formData = api.getInputValues(elt, method).formData
+    var expressionVars = api.getExpressionVars(elt)
+    for (var key in expressionVars) {
+      var value = expressionVars[key]
+      formData.set(key, String(value) === '[object Object]' ? JSON.stringify(value) : value)
+    }
+    var params = new URLSearchParams(api.filterValues(formData, elt)).toString()
+
+    var body
+    if (method === 'get') {
+      if (params) {
+        url += (url.indexOf('?') >= 0 ? '&' : '?') + params
+      }
+    } else {
+      headers['Content-Type'] = 'application/x-www-form-urlencoded'
+      body = params
+    }
+
+    return { url, method: method.toUpperCase(), headers, body }
+  }
+
+  /**
+   * createFetchEventSource returns an object implementing the EventSource interface on top
+   * of fetch and a streamed response body.  Unlike the native EventSource, it can send
+   * custom headers and use other HTTP methods.  It never reconnects by itself: when the
+   * stream fails or ends, it is closed and an error event is dispatched, so that the
+   * extension goes through its usual reconnection logic.
+   *
+   * @param {string} url
+   * @param {SSESourceOptions} options
+   * @returns {EventSource}
+   */
+  function createFetchEventSource(url, options) {
+    var controller = new AbortController()
+    var headers = Object.assign({}, options.headers)
+    if (options.lastEventId) {
+      headers['Last-Event-ID'] = options.lastEventId
+    }
+
+    var source = createEventSourceObject(url, options.lastEventId)
+    source.close = function() {
+      if (source.readyState !== source.CLOSED) {
+        source.readyState = source.CLOSED
+        controller.abort()
+      }
+    }
+
+    function fail(error) {
+      if (source.readyState === source.CLOSED) {
+        return
+      }
+      source.close()
+      var event = new Event('error')
+      event.error = error
+      source.dispatchEvent(event)
+    }
+
+    var parse = createEventStreamParser(function(type, data, lastEventId) {
+      source.lastEventId = lastEventId
+      if (source.readyState === source.OPEN) {
+        source.dispatchEvent(new MessageEvent(type, { data, lastEventId, origin: location.origin }))
+      }
+    })
+
+    fetch(url, {
+      method: options.method || 'GET',
+      headers,
+      body: options.body,
+      credentials: 'include',
+      cache: 'no-store',
+      signal: controller.signal
+    }).then(function(response) {
+      var contentType = response.headers.get('Content-Type') || ''
+      if (!response.ok || contentType.split(';')[0].trim() !== 'text/event-stream') {
+        throw new Error('Unexpected SSE response: ' + response.status + ' ' + contentType)
+      }
+      if (source.readyState === source.CLOSED) {
+        return
+      }
+      source.readyState = source.OPEN
+      source.dispatchEvent(new Event('open'))
+
+      var reader = response.body.getReader()
+      var decoder = new TextDecoder()
+      function read() {
+        return reader.read().then(function(result) {
+          if (source.readyState === source.CLOSED) {
+            reader.cancel()
+            return
+          }
+          if (result.done) {
+            parse(decoder.decode())
+            throw new Error('SSE stream ended')
+          }
+          // comments count as activity for sse-heartbeat
+          source.lastActivity = Date.now()
+          parse(decoder.decode(result.value, { stream: true }))
+          return read()
+        })
+      }
+      return read()
+    }).catch(fail)
+
+    return source
+  }
+
+  /**
+   * createEventStreamParser returns a function that parses successive chunks of a
+   * `text/event-stream` body, as described by the HTML specification, and calls
+   * onEvent for every dispatched event.
+   *
+   * @param {(type: string, data: string, lastEventId: string) => void} onEvent
+   * @returns {(chunk: string) => void}
+   */
+  function createEventStreamParser(onEvent) {
+    var buffer = ''
+    var started = false
+    var eventType = ''
+    var data = ''
+    var lastEventId = ''
+
+    function processLine(line) {
+      if (line === '') {
+        // dispatch the event
+        if (data !== '') {
+          onEvent(eventType || 'message', data.slice(0, -1), lastEventId)
+        }
+        eventType = ''
+        data = ''
+        return
+      }
+      if (line.charAt(0) === ':') {
+        return // comment
+      }
+
+      var colon = line.indexOf(':')
+      var field = colon < 0 ? line : line.slice(0, colon)
+      var value = colon < 0 ? '' : line.slice(colon + 1)
+      if (value.charAt(0) === ' ') {
+        value = value.slice(1)
+      }
+
+      if (field === 'event') {
+        eventType = value
+      } else if (field === 'data') {
+        data += value + '\n'
+      } else if (field === 'id') {
+        if (value.indexOf('\0') < 0) {
+          lastEventId = value
+        }
+      }
+      // the retry field is ignored, reconnection delays are handled by the extension
+    }
+
+    return function(chunk) {
+      buffer += chunk
+      if (!started && buffer.length > 0) {
+        started = true
+        if (buffer.charAt(0) === '\uFEFF') {
+          buffer = buffer.slice(1)
+        }
+      }
+
+      var start = 0
+      for (var i = 0; i < buffer.length; i++) {
+        var c = buffer.charAt(i)
+        if (c === '\r' || c === '\n') {
+          if (c === '\r' && i === buffer.length - 1) {
+            break // wait for the next chunk, in case it starts with the \n of a \r\n pair
+          }
+          processLine(buffer.slice(start, i))
+          if (c === '\r' && buffer.charAt(i + 1) === '\n') {
+            i++
+          }
+          start = i + 1
+        }
+      }
+      buffer = buffer.slice(start)
+    }
+  }
+
+  /// ////////////////////////////////////////////
+  // TAB SHARING
+  /// ////////////////////////////////////////////
+
+  /**
+   * createTabSharedEventSource returns an EventSource shared by every tab of the browser that
+   * connects to the same request.  Tabs elect a leader with the Web Locks API: the tab holding
+   * the lock opens the real EventSource with htmx.createEventSource, and relays its events to
+   * the other tabs through a BroadcastChannel.  When the leader closes its source, or the tab
+   * is closed, the lock is released and the next tab waiting for it takes over.
+   *
+   * Without the Web Locks API, every tab becomes a leader, and opens its own connection.
+   *
+   * Messages posted on the channel:
+   * - {type: "hello", names} a follower joined, and listens to these event names
+   * - {type: "listen", name} a follower listens to a new event name
+   * - {type: "leader"} a new leader took over, followers must send their event names again
+   * - {type: "open"} the leader's EventSource is open
+   * - {type: "error", readyState} the leader's EventSource raised an error
+   * - {type: "event", name, data, lastEventId} the leader's EventSource received an event
+   *
+   * @param {string} url
+   * @param {SSESourceOptions} options
+   * @param {string} name the name of the lock and of the channel
+   * @returns {EventSource}
+   */
+  function createTabSharedEventSource(url, options, name) {
+    var source = createEventSourceObject(url, options.lastEventId)
+    var channel = new BroadcastChannel(name)
+    var lockController = new AbortController()
+    /** @type {EventSource | null} */
+    var leaderSource = null
+    var releaseLock = null
+    var names = ['message']
+    var relayedNames = []
+
+    var addEventListener = source.addEventListener
+    source.addEventListener = function(type, listener) {
+      addEventListener(type, listener)
+      if (names.indexOf(type) < 0) {
+        names.push(type)
+        if (leaderSource) {
+          relay(type)
+        } else {
+          channel.postMessage({ type: 'listen', name: type })
+        }
+      }
+    }
+
+    source.close = function() {
+      if (source.readyState === source.CLOSED) {
+        return
+      }
+      source.readyState = source.CLOSED
+      channel.close()
+      if (leaderSource) {
+        leaderSource.close()
+      }
+      if (releaseLock) {
+        releaseLock()
+      } else {
+        lockController.abort()
+      }
+    }
+
+    function dispatchMessage(type, data, lastEventId) {
+      if (lastEventId) {
+        source.lastEventId = lastEventId
+      }
+      source.dispatchEvent(new MessageEvent(type, { data, lastEventId: source.lastEventId }))
+    }
+
+    function dispatchError(readyState, error) {
+      if (readyState === source.CLOSED) {
+        // release the lock before notifying, so that the reconnection can take over
+        source.close()
+      } else {
+        source.readyState = source.CONNECTING
+      }
+      var event = new Event('error')
+      event.error = error
+      source.dispatchEvent(event)
+    }
+
+    function relay(type) {
+      if (relayedNames.indexOf(type) >= 0) {
+        return
+      }
+      relayedNames.push(type)
+      leaderSource.addEventListener(type, function(event) {
+        channel.postMessage({ type: 'event', name: type, data: event.data, lastEventId: event.lastEventId })
+        if (names.indexOf(type) >= 0) {
+          dispatchMessage(type, event.data, event.lastEventId)
+        }
+      })
+    }
+
+    function becomeLeader() {
+      return new Promise(function(resolve) {
+        releaseLock = resolve
+        if (source.readyState === source.CLOSED) {
+          resolve()
+          return
+        }
+
+        var leaderOptions = Object.assign({}, options, { lastEventId: source.lastEventId || options.lastEventId })
+        delete leaderOptions.shared
+        leaderSource = htmx.createEventSource(url, leaderOptions)
+        leaderSource.onopen = function() {
+          source.readyState = source.OPEN
+          channel.postMessage({ type: 'open' })
+          source.dispatchEvent(new Event('open'))
+        }
+        leaderSource.onerror = function(error) {
+          var readyState = leaderSource.readyState
+          channel.postMessage({ type: 'error', readyState })
+          dispatchError(readyState, error)
+        }
+        forEach(names, relay)
+        channel.postMessage({ type: 'leader' })
+      })
+    }
+
+    channel.onmessage = function(event) {
+      var message = event.data
+      if (leaderSource) {
+        if (message.type === 'hello' || message.type === 'listen') {
+          forEach(message.names || [message.name], relay)
+          if (message.type === 'hello' && source.readyState === source.OPEN) {
+            channel.postMessage({ type: 'open' })
+          }
+        }
+        return
+      }
+
+      switch (message.type) {
+        case 'leader':
+          channel.postMessage({ type: 'hello', names })
+          return
+        case 'open':
+          if (source.readyState !== source.OPEN) {
+            source.readyState = source.OPEN
+            source.dispatchEvent(new Event('open'))
+          }
+          return
+        case 'error':
+          dispatchError(message.readyState)
+          return
+        case 'event':
+          if (names.indexOf(message.name) >= 0) {
+            dispatchMessage(message.name, message.data, message.lastEventId)
+          }
+      }
+    }
+
+    if (typeof navigator !== 'undefined' && navigator.locks) {
+      channel.postMessage({ type: 'hello', names })
+      navigator.locks.request(name, { signal: lockController.signal }, becomeLeader).catch(function() {
+        // the request was aborted because the source was closed before becoming the leader
+      })
+    } else {
+      becomeLeader()
+    }
+
+    return source
   }
 })()
@@ -1,81 +1,24 @@
 describe('sse extension', function() {
-  function mockEventSource() {
-    var listeners = {}
-    var mockEventSource = {
-      _listeners: listeners,
-      removeEventListener: function(name, l) {
-        listeners[name] = listeners[name].filter(function(elt, idx, arr) {
-          if (arr[idx] === l) {
-            return false
-          }
-          return true
-        })
-      },
-      addEventListener: function(message, l) {
-        if (!listeners[message]) {
-          listeners[message] = []
-        }
-        listeners[message].push(l)
-      },
-      sendEvent: function(eventName, data) {
-        this.readyState.should.equal(EventSource.OPEN)
-        var eventListeners = listeners[eventName]
-        if (eventListeners) {
-          eventListeners.forEach(function(listener) {
-            var event = htmx._('makeEvent')(eventName)
-            event.data = data
-            listener(event)
-          })
-        }
-      },
-      close: function() {
-        this.readyState = EventSource.CLOSED
-      },
-      connect: function(url) {
-        this.url = url
-        setTimeout(function() {
-          if (mockEventSource.failConnections) {
-            mockEventSource.readyState = EventSource.CLOSED
-            if (typeof mockEventSource.onerror === 'function') {
-              mockEventSource.onerror('Simulated EventSource connection failure')
-            }
-          } else {
-            mockEventSource.readyState = EventSource.OPEN
-            if (typeof mockEventSource.onopen === 'function') {
-              mockEventSource.onopen()
-            }
-          }
-        }, 0)
-      },
-      simulateConnectionError: function() {
-        this.close()
-        if (typeof this.onerror === "function") {
-          this.onerror()
-        }
-      },
-      /** @type {EventSource.CONNECTING|EventSource.OPEN|EventSource.CLOSED|0|1|2} */
-      readyState: EventSource.CONNECTING,
-      failConnections: false,
-    }
-    return mockEventSource
-  }
+  var defaultCreateEventSource = htmx.createEventSource
 
   beforeEach(function() {
     this.server = makeServer()
     this.closeType = ""
     this.clock = sinon.useFakeTimers();
     var test = this
+    this.eventSources = []
     clearWorkArea()
-    htmx.createEventSource = function(url) {
-      var eventSource = mockEventSource()
+    htmx.createEventSource = function(url, options) {
+      var eventSource = new MockEventSource(url, options)
       test.eventSource = eventSource
-      eventSource.connect(url)
+      test.eventSources.push(eventSource)
       return eventSource
     }
   })
   afterEach(function() {
     this.server.restore()
     this.clock.restore();
+    htmx.config.sseReconnectDelay = 'exponential'
     clearWorkArea()
   })
 
@@ -702,4 +645,1090 @@ describe('sse extension', function() {
     byId('d1').innerHTML.should.equal('div1 updated')
     byId('d2').innerHTML.should.equal('div2 updated')
   })
+
+  it('does not send the last event id on reconnect without sse-resume', function() {
+    var div = make('<div hx-ext="sse" sse-connect="/foo">' +
+      '<div id="d1" sse-swap="e1">div1</div>' +
+      '</div>')
+    this.clock.tick(1)
+
+    this.eventSource.sendEvent('e1', 'Event 1', '42')
+    this.eventSource.simulateConnectionError()
+    this.clock.tick(500)
+
+    this.eventSource.url.should.equal('/foo')
+    should.not.exist(this.eventSource.options.lastEventId)
+  })
+
+  it('sends the last event id on reconnect with sse-resume', function() {
+    var div = make('<div hx-ext="sse" sse-connect="/foo?channel=1" sse-resume>' +
+      '<div id="d1" sse-swap="e1">div1</div>' +
+      '</div>')
+    this.clock.tick(1)
+    this.eventSource.url.should.equal('/foo?channel=1')
+
+    this.eventSource.sendEvent('e1', 'Event 1', '41')
+    this.eventSource.sendEvent('e1', 'Event 2', '42')
+    this.eventSource.simulateConnectionError()
+    this.clock.tick(500)
+
+    this.eventSource.url.should.equal('/foo?channel=1&lastEventId=42')
+    this.eventSource.options.lastEventId.should.equal('42')
+    this.clock.tick(1)
+    byId('d1').innerHTML.should.equal('Event 2')
+  })
+
+  it('uses the sse-resume value as the query parameter name', function() {
+    var div = make('<div hx-ext="sse" sse-connect="/foo" sse-resume="since">' +
+      '<div id="d1" hx-trigger="sse:e1">div1</div>' +
+      '</div>')
+    this.clock.tick(1)
+
+    this.eventSource.sendEvent('e1', '', 'a b')
+    this.eventSource.simulateConnectionError()
+    this.clock.tick(500)
+
+    this.eventSource.url.should.equal('/foo?since=a%20b')
+  })
+
+  it('tracks the id of unnamed messages with sse-resume', function() {
+    var div = make('<div hx-ext="sse" sse-connect="/foo" sse-resume></div>')
+    this.clock.tick(1)
+
+    this.eventSource.sendEvent('message', 'hello', '7')
+    this.eventSource.simulateConnectionError()
+    this.clock.tick(500)
+
+    this.eventSource.url.should.equal('/foo?lastEventId=7')
+  })
+
+  it('passes the request options to createEventSource with sse-transport="fetch"', function() {
+    var div = make('<div hx-ext="sse" sse-connect="/foo?a=1" sse-transport="fetch" hx-headers=\'{"Authorization":"Bearer xyz"}\' hx-vals=\'{"channel":"news"}\' hx-include="#i1">' +
+      '<div id="d1" sse-swap="e1">div1</div>' +
+      '</div>' +
+      '<input id="i1" name="filter" value="all">')
+    this.clock.tick(1)
+
+    var options = this.eventSource.options
+    options.transport.should.equal('fetch')
+    options.method.should.equal('GET')
+    options.headers.Authorization.should.equal('Bearer xyz')
+    options.headers['HX-Request'].should.equal('true')
+    options.headers.Accept.should.equal('text/event-stream')
+    should.not.exist(options.body)
+    this.eventSource.url.should.equal('/foo?a=1&filter=all&channel=news')
+  })
+
+  it('sends parameters in the body with sse-transport="fetch" and sse-method="post"', function() {
+    var div = make('<div hx-ext="sse" sse-connect="/foo" sse-transport="fetch" sse-method="post" hx-vals=\'{"channel":"news"}\'></div>')
+    this.clock.tick(1)
+
+    var options = this.eventSource.options
+    options.method.should.equal('POST')
+    options.headers['Content-Type'].should.equal('application/x-www-form-urlencoded')
+    options.body.should.equal('channel=news')
+    this.eventSource.url.should.equal('/foo')
+  })
+
+  it('does not pass request options to createEventSource without sse-transport', function() {
+    var div = make('<div hx-ext="sse" sse-connect="/foo" hx-headers=\'{"Authorization":"Bearer xyz"}\'></div>')
+    this.clock.tick(1)
+
+    should.not.exist(this.eventSource.options.transport)
+    should.not.exist(this.eventSource.options.headers)
+  })
+
+
+  it('uses htmx.config.sseReconnectDelay when it is a function', function() {
+    var retryCounts = []
+    htmx.config.sseReconnectDelay = function(retryCount) {
+      retryCounts.push(retryCount)
+      return 100
+    }
+    var div = make('<div hx-ext="sse" sse-connect="/foo"></div>')
+    this.clock.tick(1)
+
+    var oldEventSource = this.eventSource
+    this.eventSource.failConnections = true
+    this.eventSource.simulateConnectionError()
+    this.clock.tick(99)
+    this.eventSource.should.equal(oldEventSource)
+    this.clock.tick(1)
+    this.eventSource.should.not.equal(oldEventSource)
+    this.eventSource.failConnections = true
+    this.clock.tick(1)
+    this.eventSource.readyState.should.equal(EventSource.CLOSED)
+    this.clock.tick(100)
+    retryCounts.should.eql([0, 1])
+  })
+
+  it('supports the full-jitter reconnect delay strategy', function() {
+    htmx.config.sseReconnectDelay = 'full-jitter'
+    var random = sinon.stub(Math, 'random').returns(0.5)
+    try {
+      var div = make('<div hx-ext="sse" sse-connect="/foo"></div>')
+      this.clock.tick(1)
+
+      var oldEventSource = this.eventSource
+      this.eventSource.simulateConnectionError()
+      this.clock.tick(249)
+      this.eventSource.should.equal(oldEventSource)
+      this.clock.tick(1)
+      this.eventSource.should.not.equal(oldEventSource)
+    } finally {
+      random.restore()
+    }
+  })
+
+  it('gives up reconnecting after sse-max-retries attempts', function() {
+    var giveUpDetail = null
+    var div = make('<div hx-ext="sse" sse-connect="/foo" sse-max-retries="2"></div>')
+    htmx.on(div, 'htmx:sseGiveUp', function(evt) {
+      giveUpDetail = evt.detail
+    })
+    this.clock.tick(1)
+
+    this.eventSource.simulateConnectionError()
+    this.clock.tick(500)
+    this.eventSource.failConnections = true
+    this.clock.tick(1)
+    should.not.exist(giveUpDetail)
+
+    this.clock.tick(1000)
+    this.eventSource.failConnections = true
+    this.clock.tick(1)
+    this.eventSource.readyState.should.equal(EventSource.CLOSED)
+    giveUpDetail.retryCount.should.equal(2)
+    giveUpDetail.source.should.equal(this.eventSource)
+
+    var lastEventSource = this.eventSource
+    this.clock.tick(100000)
+    this.eventSource.should.equal(lastEventSource)
+  })
+
+  it('counts the reconnections of the EventSource itself toward sse-max-retries', function() {
+    var giveUpDetail = null
+    var div = make('<div hx-ext="sse" sse-connect="/foo" sse-max-retries="2"></div>')
+    htmx.on(div, 'htmx:sseGiveUp', function(evt) {
+      giveUpDetail = evt.detail
+    })
+    this.clock.tick(1)
+
+    this.eventSource.simulateConnectionError(MockEventSource.CONNECTING)
+    div.getAttribute('sse-retry-count').should.equal('1')
+    this.eventSource.simulateConnectionError(MockEventSource.CONNECTING)
+    div.getAttribute('sse-retry-count').should.equal('2')
+    should.not.exist(giveUpDetail)
+
+    this.eventSource.simulateConnectionError(MockEventSource.CONNECTING)
+    giveUpDetail.retryCount.should.equal(2)
+    div.getAttribute('sse-state').should.equal('closed')
+    this.eventSource.readyState.should.equal(EventSource.CLOSED)
+    this.clock.tick(100000)
+    this.eventSources.length.should.equal(1)
+  })
+
+
+  it('shares one EventSource between elements connecting to the same url', function() {
+    make('<div hx-ext="sse">' +
+      '<div id="c1" sse-connect="/foo"><div id="d1" sse-swap="e1"></div></div>' +
+      '<div id="c2" sse-connect="/foo"><div id="d2" sse-swap="e1"></div></div>' +
+      '<div id="c3" sse-connect="/bar"><div id="d3" sse-swap="e1"></div></div>' +
+      '</div>')
+    this.clock.tick(1)
+
+    this.eventSources.length.should.equal(2)
+    var fooSource = this.eventSources[0]
+    fooSource.url.should.equal('/foo')
+    byId('c1')['htmx-internal-data'].sseEventSource.should.equal(fooSource)
+    byId('c2')['htmx-internal-data'].sseEventSource.should.equal(fooSource)
+
+    fooSource.sendEvent('e1', 'Event 1')
+    byId('d1').innerText.should.equal('Event 1')
+    byId('d2').innerText.should.equal('Event 1')
+    byId('d3').innerText.should.equal('')
+  })
+
+  it('closes a shared EventSource when the last element using it is removed', function() {
+    this.server.respondWith('GET', '/test', 'Clicked!')
+    var closeTypes = []
+    var div = make('<div hx-ext="sse">' +
+      '<div id="c1" hx-get="/test" hx-swap="outerHTML" sse-connect="/foo"><div id="d1" sse-swap="e1"></div></div>' +
+      '<div id="c2" sse-connect="/foo"><div id="d2" sse-swap="e1"></div></div>' +
+      '</div>')
+    htmx.on(div, 'htmx:sseClose', function(evt) {
+      closeTypes.push(evt.detail.type)
+    })
+    this.clock.tick(1)
+    this.eventSources.length.should.equal(1)
+
+    byId('c1').click()
+    this.server.respond()
+    closeTypes.should.eql(['nodeReplaced'])
+    this.eventSource.readyState.should.equal(EventSource.OPEN)
+    this.eventSource.sendEvent('e1', 'Event 1')
+    byId('d2').innerText.should.equal('Event 1')
+
+    div.removeChild(byId('c2'))
+    this.eventSource.sendEvent('e1', 'Event 2')
+    this.eventSource.readyState.should.equal(EventSource.CLOSED)
+  })
+
+  it('does not close a shared EventSource on another element\'s sse-close message', function() {
+    make('<div hx-ext="sse">' +
+      '<div id="c1" sse-connect="/foo" sse-close="done"></div>' +
+      '<div id="c2" sse-connect="/foo"><div id="d2" sse-swap="e1"></div></div>' +
+      '</div>')
+    this.clock.tick(1)
+
+    this.eventSource.sendEvent('done')
+    this.eventSource.readyState.should.equal(EventSource.OPEN)
+    this.eventSource._listeners.done.should.be.empty
+    this.eventSource.sendEvent('e1', 'Event 1')
+    byId('d2').innerText.should.equal('Event 1')
+  })
+
+  it('does not share the EventSource with sse-shared="false"', function() {
+    make('<div hx-ext="sse">' +
+      '<div sse-connect="/foo"></div>' +
+      '<div sse-connect="/foo" sse-shared="false"></div>' +
+      '</div>')
+    this.clock.tick(1)
+
+    this.eventSources.length.should.equal(2)
+  })
+
+  it('reconnects every element sharing an EventSource with a single connection', function() {
+    make('<div hx-ext="sse">' +
+      '<div id="c1" sse-connect="/foo"><div id="d1" sse-swap="e1"></div></div>' +
+      '<div id="c2" sse-connect="/foo"><div id="d2" sse-swap="e1"></div></div>' +
+      '</div>')
+    this.clock.tick(1)
+    var errors = 0
+    htmx.on(byId('c2'), 'htmx:sseError', function() { errors++ })
+
+    this.eventSource.simulateConnectionError()
+    errors.should.equal(1)
+    this.clock.tick(500)
+    this.eventSources.length.should.equal(2)
+    this.clock.tick(1)
+
+    byId('c1')['htmx-internal-data'].sseEventSource.should.equal(this.eventSource)
+    byId('c2')['htmx-internal-data'].sseEventSource.should.equal(this.eventSource)
+    this.eventSource.sendEvent('e1', 'Event 1')
+    byId('d1').innerText.should.equal('Event 1')
+    byId('d2').innerText.should.equal('Event 1')
+  })
+
+
+  it('swaps JSON messages into the target and with the swap style they describe', function() {
+    make('<div hx-ext="sse" sse-connect="/foo">' +
+      '<div id="d1" sse-swap="e1" sse-format="json">div1</div>' +
+      '<ul id="list"><li id="row-1">row 1</li><li id="row-2">row 2</li></ul>' +
+      '</div>')
+    this.clock.tick(1)
+
+    this.eventSource.sendEvent('e1', JSON.stringify({ target: '#row-2', swap: 'outerHTML', html: '<li id="row-2">updated</li>' }))
+    byId('row-2').innerHTML.should.equal('updated')
+    byId('d1').innerHTML.should.equal('div1')
+
+    this.eventSource.sendEvent('e1', JSON.stringify([
+      { target: '#list', swap: 'beforeend', html: '<li id="row-3">row 3</li>' },
+      { html: 'main content' }
+    ]))
+    byId('list').children.length.should.equal(3)
+    byId('row-3').innerHTML.should.equal('row 3')
+    byId('d1').innerHTML.should.equal('main content')
+  })
+
+  it('renders JSON message data through extensions with sse-format="json"', function() {
+    htmx.defineExtension('sse-test-template', {
+      transformResponse: function(text) {
+        var data = JSON.parse(text)
+        return '<b>' + data.name + '</b>'
+      }
+    })
+    try {
+      make('<div hx-ext="sse, sse-test-template" sse-connect="/foo" sse-format="json">' +
+        '<div id="d1" sse-swap="e1"></div>' +
+        '<div id="d2"></div>' +
+        '</div>')
+      this.clock.tick(1)
+
+      this.eventSource.sendEvent('e1', JSON.stringify({ name: 'Joe' }))
+      byId('d1').innerHTML.should.equal('<b>Joe</b>')
+
+      this.eventSource.sendEvent('e1', JSON.stringify({ target: '#d2', data: { name: 'Jane' } }))
+      byId('d2').innerHTML.should.equal('<b>Jane</b>')
+    } finally {
+      htmx.removeExtension('sse-test-template')
+    }
+  })
+
+  it('raises an error for invalid JSON messages with sse-format="json"', function() {
+    var errorDetail = null
+    var div = make('<div hx-ext="sse" sse-connect="/foo"><div id="d1" sse-swap="e1" sse-format="json">div1</div></div>')
+    htmx.on(div, 'htmx:sseParseError', function(evt) {
+      errorDetail = evt.detail
+    })
+    this.clock.tick(1)
+
+    this.eventSource.sendEvent('e1', '<p>not json</p>')
+    errorDetail.data.should.equal('<p>not json</p>')
+    byId('d1').innerHTML.should.equal('div1')
+  })
+
+  it('raises an error for JSON messages that are not swaps with sse-format="json"', function() {
+    var errors = []
+    var div = make('<div hx-ext="sse" sse-connect="/foo"><div id="d1" sse-swap="e1" sse-format="json">div1</div></div>')
+    htmx.on(div, 'htmx:sseParseError', function(evt) {
+      errors.push(evt.detail.data)
+    })
+    this.clock.tick(1)
+
+    this.eventSource.sendEvent('e1', 'null')
+    this.eventSource.sendEvent('e1', '[42, {"html": "div1 updated"}]')
+    errors.should.deep.equal(['null', '[42, {"html": "div1 updated"}]'])
+    byId('d1').innerHTML.should.equal('div1 updated')
+  })
+
+
+  it('swaps hx-swap-oob content of sse-swap messages out of band', function() {
+    make('<div hx-ext="sse" sse-connect="/foo">' +
+      '<div id="d1" sse-swap="e1">div1</div>' +
+      '</div>' +
+      '<span id="counter">0</span>')
+    this.clock.tick(1)
+
+    this.eventSource.sendEvent('e1', 'Event 1<span id="counter" hx-swap-oob="true">1</span>')
+    byId('d1').innerHTML.should.equal('Event 1')
+    byId('counter').innerHTML.should.equal('1')
+  })
+
+  it('swaps every top level element of sse-oob messages out of band', function() {
+    var messages = 0
+    var div = make('<div hx-ext="sse" sse-connect="/foo" sse-oob="e1, e2">' +
+      '<span id="counter">0</span>' +
+      '<ul id="list"><li>item 1</li></ul>' +
+      '</div>')
+    htmx.on(div, 'htmx:sseMessage', function() { messages++ })
+    this.clock.tick(1)
+
+    this.eventSource.sendEvent('e1', '<span id="counter">1</span>' +
+      '<div hx-swap-oob="beforeend:#list"><li id="item-2">item 2</li></div>')
+    byId('counter').innerHTML.should.equal('1')
+    byId('item-2').innerText.should.equal('item 2')
+    this.eventSource.sendEvent('e2', '<span id="counter">2</span>')
+    byId('counter').innerHTML.should.equal('2')
+    messages.should.equal(2)
+  })
+
+  it('uses unnamed messages for a bare sse-oob attribute', function() {
+    make('<div hx-ext="sse" sse-connect="/foo"><div sse-oob><span id="counter">0</span></div></div>')
+    this.clock.tick(1)
+
+    this.eventSource.sendEvent('message', '<span id="counter">1</span>')
+    byId('counter').innerHTML.should.equal('1')
+  })
+
+
+  function setVisibilityState(state) {
+    Object.defineProperty(document, 'visibilityState', { value: state, configurable: true })
+    document.dispatchEvent(new Event('visibilitychange'))
+  }
+
+  it('pauses hidden pages after the grace period and resumes them when visible', function() {
+    var paused = 0
+    var resumed = 0
+    var div = make('<div hx-ext="sse" sse-connect="/foo" sse-resume sse-pause-when-hidden="10s">' +
+      '<div id="d1" sse-swap="e1" hx-swap="beforeend"></div>' +
+      '</div>')
+    htmx.on(div, 'htmx:ssePause', function() { paused++ })
+    htmx.on(div, 'htmx:sseResume', function() { resumed++ })
+    this.clock.tick(1)
+    var firstSource = this.eventSource
+    firstSource.sendEvent('e1', 'a', '1')
+
+    try {
+      setVisibilityState('hidden')
+      this.clock.tick(9999)
+      firstSource.readyState.should.equal(EventSource.OPEN)
+      this.clock.tick(1)
+      firstSource.readyState.should.equal(EventSource.CLOSED)
+      paused.should.equal(1)
+
+      setVisibilityState('visible')
+      resumed.should.equal(1)
+      this.eventSources.length.should.equal(2)
+      this.eventSource.url.should.equal('/foo?lastEventId=1')
+      this.clock.tick(1)
+      this.eventSource.sendEvent('e1', 'b', '2')
+      byId('d1').innerHTML.should.equal('ab')
+    } finally {
+      delete document.visibilityState
+    }
+  })
+
+  it('stays connected when the page is visible again within the grace period', function() {
+    make('<div hx-ext="sse" sse-connect="/foo" sse-pause-when-hidden="10s"></div>')
+    this.clock.tick(1)
+
+    try {
+      setVisibilityState('hidden')
+      this.clock.tick(5000)
+      setVisibilityState('visible')
+      this.clock.tick(10000)
+      this.eventSource.readyState.should.equal(EventSource.OPEN)
+      this.eventSources.length.should.equal(1)
+    } finally {
+      delete document.visibilityState
+    }
+  })
+
+  it('stays connected when htmx:ssePause is cancelled', function() {
+    var div = make('<div hx-ext="sse" sse-connect="/foo" sse-pause-when-hidden></div>')
+    htmx.on(div, 'htmx:ssePause', function(evt) { evt.preventDefault() })
+    this.clock.tick(1)
+
+    try {
+      setVisibilityState('hidden')
+      this.clock.tick(1)
+      this.eventSource.readyState.should.equal(EventSource.OPEN)
+    } finally {
+      delete document.visibilityState
+    }
+  })
+
+
+  it('exposes the connection of sse-connect elements through htmx.sse.get', function() {
+    var div = make('<div id="stream" hx-ext="sse" sse-connect="/foo"><div id="d1" sse-swap="e1"></div></div>')
+    this.clock.tick(1)
+
+    htmx.sse.get(div).source.should.equal(this.eventSource)
+    htmx.sse.get(byId('d1')).should.equal(htmx.sse.get('#stream'))
+    should.equal(htmx.sse.get(make('<div></div>')), null)
+  })
+
+  it('closes the connection with htmx.sse.get(elt).close()', function() {
+    var closeType = null
+    var div = make('<div hx-ext="sse" sse-connect="/foo"></div>')
+    htmx.on(div, 'htmx:sseClose', function(evt) { closeType = evt.detail.type })
+    this.clock.tick(1)
+
+    htmx.sse.get(div).close()
+    this.eventSource.readyState.should.equal(EventSource.CLOSED)
+    closeType.should.equal('closed')
+  })
+
+  it('reconnects to a new url with htmx.sse.get(elt).reconnect(url)', function() {
+    var div = make('<div hx-ext="sse" sse-connect="/foo"><div id="d1" sse-swap="e1" hx-swap="beforeend"></div></div>')
+    this.clock.tick(1)
+    var firstSource = this.eventSource
+
+    htmx.sse.get(div).reconnect('/bar')
+    firstSource.readyState.should.equal(EventSource.CLOSED)
+    div.getAttribute('sse-connect').should.equal('/bar')
+    this.eventSource.url.should.equal('/bar')
+    this.clock.tick(1)
+    this.eventSource.sendEvent('e1', 'a')
+    byId('d1').innerHTML.should.equal('a')
+  })
+
+  it('cancels a pending reconnection when reconnecting with htmx.sse.get(elt).reconnect()', function() {
+    this.server.respondWith('GET', '/test', 'Clicked!')
+    var div = make('<div hx-get="/test" hx-swap="outerHTML" hx-ext="sse" sse-connect="/foo" sse-shared="false"></div>')
+    this.clock.tick(1)
+
+    this.eventSource.simulateConnectionError()
+    htmx.sse.get(div).reconnect()
+    this.eventSources.length.should.equal(2)
+    var source = this.eventSource
+    this.clock.tick(1000)
+    this.eventSources.length.should.equal(2)
+
+    div.click()
+    this.server.respond()
+    source.readyState.should.equal(EventSource.CLOSED)
+    this.eventSources.length.should.equal(2)
+  })
+
+  it('adds listeners surviving reconnections with htmx.sse.get(elt).on', function() {
+    var received = []
+    var div = make('<div hx-ext="sse" sse-connect="/foo"></div>')
+    this.clock.tick(1)
+
+    var sse = htmx.sse.get(div)
+    var off = sse.on('e1', function(event) { received.push(event.data) })
+    this.eventSource.sendEvent('e1', 'a')
+    sse.reconnect()
+    this.clock.tick(1)
+    this.eventSource.sendEvent('e1', 'b')
+    off()
+    this.eventSource.sendEvent('e1', 'c')
+    received.should.deep.equal(['a', 'b'])
+  })
+
+
+  it('reconnects when sse-connect changes', async function() {
+    var div = make('<div hx-ext="sse" sse-connect="/foo"><div id="d1" sse-swap="e1" hx-swap="beforeend"></div></div>')
+    this.clock.tick(1)
+    var firstSource = this.eventSource
+
+    div.setAttribute('sse-connect', '/bar')
+    await Promise.resolve()
+    firstSource.readyState.should.equal(EventSource.CLOSED)
+    firstSource._listeners.e1.length.should.equal(0)
+    this.eventSources.length.should.equal(2)
+    this.eventSource.url.should.equal('/bar')
+    this.clock.tick(1)
+    this.eventSource.sendEvent('e1', 'a')
+    byId('d1').innerHTML.should.equal('a')
+  })
+
+  it('reconnects when sse-connect changes and the element is processed again', async function() {
+    var div = make('<div hx-ext="sse" sse-connect="/foo"><div id="d1" sse-swap="e1" hx-swap="beforeend"></div></div>')
+    this.clock.tick(1)
+    var firstSource = this.eventSource
+
+    div.setAttribute('sse-connect', '/bar')
+    htmx.process(div)
+    await Promise.resolve()
+    firstSource.readyState.should.equal(EventSource.CLOSED)
+    firstSource._listeners.e1.length.should.equal(0)
+    this.eventSources.length.should.equal(2)
+    this.eventSource.url.should.equal('/bar')
+    this.clock.tick(1)
+    this.eventSource.sendEvent('e1', 'a')
+    byId('d1').innerHTML.should.equal('a')
+  })
+
+  it('closes the connection when sse-connect is removed', async function() {
+    var div = make('<div hx-ext="sse" sse-connect="/foo"><div id="d1" sse-swap="e1"></div></div>')
+    this.clock.tick(1)
+
+    div.removeAttribute('sse-connect')
+    await Promise.resolve()
+    this.eventSource.readyState.should.equal(EventSource.CLOSED)
+    this.eventSource._listeners.e1.length.should.equal(0)
+  })
+
+  it('replaces the listeners of a changed sse-swap', async function() {
+    make('<div hx-ext="sse" sse-connect="/foo"><div id="d1" sse-swap="e1" hx-swap="beforeend"></div></div>')
+    this.clock.tick(1)
+
+    byId('d1').setAttribute('sse-swap', 'e2')
+    await Promise.resolve()
+    this.eventSource.sendEvent('e1', 'a')
+    this.eventSource.sendEvent('e2', 'b')
+    byId('d1').innerHTML.should.equal('b')
+    this.eventSource._listeners.e1.length.should.equal(0)
+  })
+
+  it('replaces the listener of a changed sse-close', async function() {
+    var div = make('<div hx-ext="sse" sse-connect="/foo" sse-close="done"></div>')
+    this.clock.tick(1)
+
+    div.setAttribute('sse-close', 'finished')
+    await Promise.resolve()
+    this.eventSource._listeners.done.length.should.equal(0)
+    this.eventSource.sendEvent('finished', '')
+    this.eventSource.readyState.should.equal(EventSource.CLOSED)
+    this.eventSources.length.should.equal(1)
+  })
+
+
+  it('removes the oldest entries beyond sse-max-items', function() {
+    make('<div hx-ext="sse" sse-connect="/foo">' +
+      '<ul id="d1" sse-swap="e1" hx-swap="beforeend" sse-max-items="2"></ul>' +
+      '<ul id="d2" sse-swap="e2" hx-swap="afterbegin" sse-max-items="2"></ul>' +
+      '</div>')
+    this.clock.tick(1)
+
+    for (var i = 1; i <= 3; i++) {
+      this.eventSource.sendEvent('e1', '<li>' + i + '</li>')
+      this.eventSource.sendEvent('e2', '<li>' + i + '</li>')
+    }
+    byId('d1').innerHTML.should.equal('<li>2</li><li>3</li>')
+    byId('d2').innerHTML.should.equal('<li>3</li><li>2</li>')
+  })
+
+  it('keeps sse-autoscroll targets scrolled to the bottom unless scrolled up', function() {
+    make('<div hx-ext="sse" sse-connect="/foo">' +
+      '<div id="d1" sse-swap="e1" hx-swap="beforeend" sse-autoscroll style="height: 20px; overflow: auto"></div>' +
+      '</div>')
+    this.clock.tick(1)
+    var d1 = byId('d1')
+
+    var scrollTops = []
+    for (var i = 0; i < 3; i++) {
+      this.eventSource.sendEvent('e1', '<div style="height: 20px">' + i + '</div>')
+      scrollTops.push(d1.scrollTop)
+    }
+    scrollTops.should.deep.equal([0, 20, 40])
+
+    d1.scrollTop = 0
+    this.eventSource.sendEvent('e1', '<div style="height: 20px">3</div>')
+    d1.scrollTop.should.equal(0)
+  })
+
+  it('swaps bursts of messages once per animation frame with sse-coalesce', function() {
+    var messages = 0
+    var swaps = 0
+    make('<div hx-ext="sse" sse-connect="/foo">' +
+      '<div id="d1" sse-swap="e1" hx-swap="beforeend" sse-coalesce></div>' +
+      '<div id="d2" sse-swap="e2" sse-coalesce></div>' +
+      '</div>')
+    htmx.on(byId('d1'), 'htmx:sseMessage', function() { messages++ })
+    htmx.on(byId('d1'), 'htmx:afterSwap', function() { swaps++ })
+    this.clock.tick(1)
+
+    this.eventSource.sendEvent('e1', 'a')
+    this.eventSource.sendEvent('e1', 'b')
+    this.eventSource.sendEvent('e2', 'a')
+    this.eventSource.sendEvent('e2', 'b')
+    byId('d1').innerHTML.should.equal('')
+    this.clock.tick(20)
+    byId('d1').innerHTML.should.equal('ab')
+    byId('d2').innerHTML.should.equal('b')
+    swaps.should.equal(1)
+    messages.should.equal(2)
+  })
+
+  it('swaps coalesced messages without animation frames in hidden pages', function() {
+    var requestAnimationFrame = window.requestAnimationFrame
+    make('<div hx-ext="sse" sse-connect="/foo">' +
+      '<div id="d1" sse-swap="e1" hx-swap="beforeend" sse-coalesce></div>' +
+      '</div>')
+    this.clock.tick(1)
+
+    try {
+      window.requestAnimationFrame = function() { return 0 }
+      this.eventSource.sendEvent('e1', 'a')
+      this.eventSource.sendEvent('e1', 'b')
+      this.clock.tick(99)
+      byId('d1').innerHTML.should.equal('')
+      this.clock.tick(1)
+      byId('d1').innerHTML.should.equal('ab')
+    } finally {
+      window.requestAnimationFrame = requestAnimationFrame
+    }
+  })
+
+
+  it('shows the connection state on the sse-connect element and its status target', function() {
+    var status = make('<div id="status"></div>')
+    var div = make('<div hx-ext="sse" sse-connect="/foo" sse-status-target="#status"></div>')
+    div.getAttribute('sse-state').should.equal('connecting')
+    div.getAttribute('sse-retry-count').should.equal('0')
+    status.className.should.equal('sse-connecting')
+
+    this.clock.tick(1)
+    div.getAttribute('sse-state').should.equal('open')
+    status.className.should.equal('sse-open')
+
+    this.eventSource.simulateConnectionError()
+    div.getAttribute('sse-state').should.equal('reconnecting')
+    div.getAttribute('sse-retry-count').should.equal('1')
+    status.className.should.equal('sse-reconnecting')
+    this.clock.tick(500)
+    this.eventSource.failConnections = true
+    this.clock.tick(1)
+    div.getAttribute('sse-retry-count').should.equal('2')
+    this.clock.tick(1000)
+    this.clock.tick(1)
+    div.getAttribute('sse-state').should.equal('open')
+    div.getAttribute('sse-retry-count').should.equal('0')
+
+    htmx.sse.get(div).close()
+    div.getAttribute('sse-state').should.equal('closed')
+    status.className.should.equal('sse-closed')
+  })
+
+  it('keeps a single connection when the element is processed again after its state changed', function() {
+    this.server.respondWith('GET', '/test', 'Clicked!')
+    var div = make('<div hx-get="/test" hx-swap="outerHTML" hx-ext="sse" sse-connect="/foo">' +
+            '<div id="d1" sse-swap="e1" hx-swap="beforeend"></div>' +
+            '</div>')
+    htmx.on(div, 'htmx:sseClose', (evt) => {
+      this.closeType = evt.detail.type
+    })
+    this.clock.tick(1)
+    div.getAttribute('sse-state').should.equal('open')
+
+    htmx.process(div.parentElement)
+    this.eventSources.length.should.equal(1)
+    this.eventSource._listeners.e1.length.should.equal(1)
+    this.eventSource.sendEvent('e1', 'a')
+    byId('d1').innerHTML.should.equal('a')
+
+    div.click()
+    this.server.respond()
+    this.closeType.should.equal('nodeReplaced')
+    this.eventSource.readyState.should.equal(EventSource.CLOSED)
+  })
+
+
+  it('reconnects stalled connections after the sse-heartbeat interval', function() {
+    var stalled = 0
+    var div = make('<div hx-ext="sse" sse-connect="/foo" sse-transport="fetch" sse-heartbeat="30s"><div id="d1" sse-swap="e1"></div></div>')
+    htmx.on(div, 'htmx:sseStalled', function() { stalled++ })
+    this.clock.tick(1)
+    var firstSource = this.eventSource
+
+    this.clock.tick(20000)
+    firstSource.sendEvent('e1', 'a')
+    this.clock.tick(20000)
+    firstSource.sendEvent('message', 'ping')
+    this.clock.tick(29999)
+    stalled.should.equal(0)
+    firstSource.readyState.should.equal(EventSource.OPEN)
+
+    this.clock.tick(1)
+    stalled.should.equal(1)
+    firstSource.readyState.should.equal(EventSource.CLOSED)
+    div.getAttribute('sse-state').should.equal('reconnecting')
+    this.clock.tick(500)
+    this.eventSources.length.should.equal(2)
+    this.clock.tick(1)
+    this.eventSource.sendEvent('e1', 'b')
+    byId('d1').innerHTML.should.equal('b')
+  })
+
+  it('ignores sse-heartbeat for the native EventSource, which does not expose comments', function() {
+    var stalled = 0
+    var div = make('<div hx-ext="sse" sse-connect="/foo" sse-heartbeat="30s"></div>')
+    htmx.on(div, 'htmx:sseStalled', function() { stalled++ })
+    this.clock.tick(1)
+
+    this.clock.tick(100000)
+    stalled.should.equal(0)
+    this.eventSource.readyState.should.equal(EventSource.OPEN)
+  })
+
+
+  it('installs MockEventSource as the EventSource factory of htmx', function() {
+    var previous = htmx.createEventSource
+    var restore = MockEventSource.install(htmx)
+    try {
+      var div = make('<div hx-ext="sse" sse-connect="/foo"><div id="d1" sse-swap="e1"></div></div>')
+      var source = MockEventSource.latest()
+      MockEventSource.instances.should.deep.equal([source])
+      source.url.should.equal('/foo')
+      div.getAttribute('sse-state').should.equal('connecting')
+
+      this.clock.tick(1)
+      div.getAttribute('sse-state').should.equal('open')
+      source.sendEvent('e1', 'a')
+      byId('d1').innerHTML.should.equal('a')
+    } finally {
+      restore()
+    }
+    htmx.createEventSource.should.equal(previous)
+  })
+
+  it('lets tests open MockEventSources themselves', function() {
+    MockEventSource.autoOpen = false
+    try {
+      var source = new MockEventSource('/foo')
+      this.clock.tick(1)
+      source.readyState.should.equal(EventSource.CONNECTING)
+      should.throw(function() { source.sendEvent('e1', 'a') })
+
+      var messages = []
+      source.onmessage = function(event) { messages.push(event.data) }
+      source.open()
+      source.sendEvent('message', 'a', '1')
+      source.lastEventId.should.equal('1')
+      source.simulateConnectionError(EventSource.CONNECTING)
+      source.readyState.should.equal(EventSource.CONNECTING)
+      messages.should.deep.equal(['a'])
+    } finally {
+      MockEventSource.autoOpen = true
+    }
+  })
+
+  describe('fetch transport', function() {
+    function flushPromises() {
+      var promise = Promise.resolve()
+      for (var i = 0; i < 20; i++) {
+        promise = promise.then(function() {})
+      }
+      return promise
+    }
+
+    beforeEach(function() {
+      var test = this
+      var encoder = new TextEncoder()
+      this.responseStatus = 200
+      this.fetchStub = sinon.stub(window, 'fetch').callsFake(function() {
+        var stream = new ReadableStream({
+          start: function(controller) {
+            test.streamController = controller
+          }
+        })
+        test.push = function(chunk) {
+          test.streamController.enqueue(encoder.encode(chunk))
+          return flushPromises()
+        }
+        return Promise.resolve(new Response(stream, {
+          status: test.responseStatus,
+          headers: { 'Content-Type': 'text/event-stream; charset=utf-8' }
+        }))
+      })
+      this.createSource = function(options) {
+        return defaultCreateEventSource('/stream', Object.assign({ transport: 'fetch' }, options))
+      }
+    })
+
+    afterEach(function() {
+      this.fetchStub.restore()
+    })
+
+    it('sends the request described by the options', async function() {
+      var source = this.createSource({
+        method: 'POST',
+        headers: { Authorization: 'Bearer xyz' },
+        body: 'a=1',
+        lastEventId: '42'
+      })
+      await flushPromises()
+
+      this.fetchStub.calledOnce.should.be.true
+      var args = this.fetchStub.getCall(0).args
+      args[0].should.equal('/stream')
+      args[1].method.should.equal('POST')
+      args[1].body.should.equal('a=1')
+      args[1].headers.Authorization.should.equal('Bearer xyz')
+      args[1].headers['Last-Event-ID'].should.equal('42')
+      source.close()
+    })
+
+    it('opens and dispatches parsed events', async function() {
+      var source = this.createSource()
+      var opened = false
+      var messages = []
+      source.onopen = function() { opened = true }
+      source.addEventListener('message', function(event) { messages.push(['message', event.data, event.lastEventId]) })
+      source.addEventListener('e1', function(event) { messages.push(['e1', event.data, event.lastEventId]) })
+      source.readyState.should.equal(EventSource.CONNECTING)
+      await flushPromises()
+
+      opened.should.be.true
+      source.readyState.should.equal(EventSource.OPEN)
+
+      await this.push('\uFEFFdata: hello\n\n')
+      await this.push(': a comment\r\nevent: e1\r\nid: 1\r\ndata: line 1\r\ndata:line 2\r')
+      await this.push('\n\r\n')
+      await this.push('data: no id change\n\nevent: e2\ndata: not listened\n\nevent: e1\n\n')
+
+      messages.should.eql([
+        ['message', 'hello', ''],
+        ['e1', 'line 1\nline 2', '1'],
+        ['message', 'no id change', '1']
+      ])
+      source.close()
+    })
+
+    it('keeps dispatching events when a listener throws', async function() {
+      var reportError = window.reportError
+      var reported = []
+      var messages = []
+      var source = this.createSource()
+      source.addEventListener('message', function() { throw new Error('listener error') })
+      source.addEventListener('message', function(event) { messages.push(event.data) })
+      await flushPromises()
+
+      try {
+        window.reportError = function(error) { reported.push(error.message) }
+        await this.push('data: a\n\ndata: b\n\n')
+      } finally {
+        window.reportError = reportError
+      }
+      reported.should.eql(['listener error', 'listener error'])
+      messages.should.eql(['a', 'b'])
+      source.readyState.should.equal(EventSource.OPEN)
+      source.close()
+    })
+
+    it('handles events split across chunks', async function() {
+      var source = this.createSource()
+      var messages = []
+      source.addEventListener('message', function(event) { messages.push(event.data) })
+      await flushPromises()
+
+      await this.push('da')
+      await this.push('ta: hel')
+      await this.push('lo\n')
+      messages.should.eql([])
+      await this.push('\n')
+      messages.should.eql(['hello'])
+      source.close()
+    })
+
+    it('closes and raises an error when the stream ends', async function() {
+      var source = this.createSource()
+      var errors = 0
+      source.onerror = function() { errors++ }
+      await flushPromises()
+
+      this.streamController.close()
+      await flushPromises()
+
+      errors.should.equal(1)
+      source.readyState.should.equal(EventSource.CLOSED)
+    })
+
+    it('closes and raises an error on unsuccessful responses', async function() {
+      this.responseStatus = 500
+      var source = this.createSource()
+      var opened = false
+      var errors = 0
+      source.onopen = function() { opened = true }
+      source.onerror = function() { errors++ }
+      await flushPromises()
+
+      opened.should.be.false
+      errors.should.equal(1)
+      source.readyState.should.equal(EventSource.CLOSED)
+    })
+
+    it('does not raise errors or dispatch events after being closed', async function() {
+      var source = this.createSource()
+      var errors = 0
+      var messages = 0
+      source.onerror = function() { errors++ }
+      source.onmessage = function() { messages++ }
+      await flushPromises()
+
+      source.close()
+      this.streamController.enqueue(new TextEncoder().encode('data: hello\n\n'))
+      await flushPromises()
+
+      messages.should.equal(0)
+      errors.should.equal(0)
+      source.readyState.should.equal(EventSource.CLOSED)
+    })
+  })
+
+  describe('tab sharing', function() {
+    function channelName(url) {
+      return 'htmx-sse:' + JSON.stringify([url, null, null, null, {}, 'tab-leader'])
+    }
+
+    function waitFor(condition) {
+      return new Promise(function(resolve, reject) {
+        var attempts = 0
+        var check = function() {
+          if (condition()) {
+            resolve()
+          } else if (attempts++ > 100) {
+            reject(new Error('Timed out'))
+          } else {
+            setTimeout(check, 5)
+          }
+        }
+        check()
+      })
+    }
+
+    beforeEach(function() {
+      // tabs communicate asynchronously, so these tests run with real timers
+      this.clock.restore()
+      this.channel = null
+      this.received = []
+    })
+
+    afterEach(function() {
+      if (this.channel) {
+        this.channel.close()
+      }
+    })
+
+    function listen(test, url) {
+      test.channel = new BroadcastChannel(channelName(url))
+      test.channel.onmessage = function(event) {
+        test.received.push(event.data)
+      }
+    }
+
+    it('opens the EventSource in the leader tab and relays its events', async function() {
+      listen(this, '/tab-leader')
+      var div = make('<div hx-ext="sse" sse-connect="/tab-leader" sse-shared="tab-leader"><div id="d1" sse-swap="e1"></div></div>')
+      var test = this
+      await waitFor(function() { return test.eventSources.length === 1 && test.eventSource.readyState === EventSource.OPEN })
+      should.not.exist(this.eventSource.options.shared)
+      this.received.should.deep.include({ type: 'open' })
+
+      this.channel.postMessage({ type: 'hello', names: ['message', 'e2'] })
+      await waitFor(function() { return test.eventSource._listeners.e2 })
+      this.eventSource.sendEvent('e1', 'Event 1', '1')
+      this.eventSource.sendEvent('e2', 'Event 2', '2')
+      await waitFor(function() { return test.received.some(function(message) { return message.name === 'e2' }) })
+
+      byId('d1').innerText.should.equal('Event 1')
+      this.received.should.deep.include({ type: 'event', name: 'e1', data: 'Event 1', lastEventId: '1' })
+      this.received.should.deep.include({ type: 'event', name: 'e2', data: 'Event 2', lastEventId: '2' })
+
+      div['htmx-internal-data'].sseEventSource.close()
+      this.eventSource.readyState.should.equal(EventSource.CLOSED)
+    })
+
+    it('receives events from the leader tab, and takes over when it leaves', async function() {
+      var name = channelName('/tab-follower')
+      var releaseLock
+      await new Promise(function(resolve) {
+        navigator.locks.request(name, function() {
+          resolve()
+          return new Promise(function(release) { releaseLock = release })
+        })
+      })
+      listen(this, '/tab-follower')
+      var test = this
+      var opened = false
+      var div = make('<div hx-ext="sse" sse-connect="/tab-follower" sse-shared="tab-leader"><div id="d1" sse-swap="e1"></div></div>')
+      htmx.on(div, 'htmx:sseOpen', function() { opened = true })
+      await waitFor(function() { return test.received.length >= 2 })
+
+      this.received.should.deep.include({ type: 'hello', names: ['message'] })
+      this.received.should.deep.include({ type: 'listen', name: 'e1' })
+      this.eventSources.length.should.equal(0)
+
+      this.channel.postMessage({ type: 'open' })
+      this.channel.postMessage({ type: 'event', name: 'e1', data: 'Event 1', lastEventId: '5' })
+      await waitFor(function() { return byId('d1').innerText === 'Event 1' })
+      opened.should.be.true
+
+      releaseLock()
+      await waitFor(function() { return test.eventSources.length === 1 })
+      this.eventSource.options.lastEventId.should.equal('5')
+      await waitFor(function() { return test.received.some(function(message) { return message.type === 'leader' }) })
+
+      div['htmx-internal-data'].sseEventSource.close()
+    })
+
+    it('closes when the leader tab reports a closed connection', async function() {
+      var name = channelName('/tab-closed')
+      var releaseLock
+      await new Promise(function(resolve) {
+        navigator.locks.request(name, function() {
+          resolve()
+          return new Promise(function(release) { releaseLock = release })
+        })
+      })
+      listen(this, '/tab-closed')
+      var errors = 0
+      var div = make('<div hx-ext="sse" sse-connect="/tab-closed" sse-shared="tab-leader" sse-max-retries="1"></div>')
+      htmx.on(div, 'htmx:sseError', function() { errors++ })
+      var source = div['htmx-internal-data'].sseEventSource
+
+      this.channel.postMessage({ type: 'error', readyState: EventSource.CONNECTING })
+      await waitFor(function() { return errors === 1 })
+      source.readyState.should.equal(EventSource.CONNECTING)
+
+      this.channel.postMessage({ type: 'error', readyState: EventSource.CLOSED })
+      await waitFor(function() { return errors === 2 })
+      source.readyState.should.equal(EventSource.CLOSED)
+      releaseLock()
+    })
+  })
 })
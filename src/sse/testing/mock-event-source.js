@@ -0,0 +1,174 @@
+/*
+Mock EventSource
+================
+An EventSource that never connects to a server, for testing pages using the SSE extension.
+The test drives the connection: it opens it, sends messages and simulates errors.
+
+    <script src="htmx.js"></script>
+    <script src="sse.js"></script>
+    <script src="mock-event-source.js"></script>
+
+    var restore = MockEventSource.install(htmx)
+    // ... process an element with sse-connect="/events"
+    var source = MockEventSource.latest()
+    source.open()
+    source.sendEvent('update', '<b>new content</b>', '42')
+    source.simulateConnectionError()
+    restore()
+*/
+
+(function() {
+  /**
+   * MockEventSource implements the EventSource interface.  Unless MockEventSource.autoOpen is
+   * false, it opens (or fails if failConnections is set) right after being created, on the
+   * next tick, like a real EventSource connecting to a server.
+   *
+   * @param {string} url
+   * @param {Object} [options] the options given to htmx.createEventSource
+   */
+  function MockEventSource(url, options) {
+    this.url = url
+    this.options = options || {}
+    this.withCredentials = !!this.options.withCredentials
+    this.readyState = MockEventSource.CONNECTING
+    this.lastEventId = this.options.lastEventId || ''
+    this.onopen = null
+    this.onmessage = null
+    this.onerror = null
+    this.failConnections = false
+    this._listeners = {}
+    MockEventSource.instances.push(this)
+
+    var source = this
+    if (MockEventSource.autoOpen) {
+      setTimeout(function() {
+        if (source.readyState !== MockEventSource.CONNECTING) {
+          return
+        }
+        if (source.failConnections) {
+          source.simulateConnectionError()
+        } else {
+          source.open()
+        }
+      }, 0)
+    }
+  }
+
+  MockEventSource.CONNECTING = MockEventSource.prototype.CONNECTING = 0
+  MockEventSource.OPEN = MockEventSource.prototype.OPEN = 1
+  MockEventSource.CLOSED = MockEventSource.prototype.CLOSED = 2
+
+  /**
+   * Whether new sources open by themselves on the next tick
+   * @type {boolean}
+   */
+  MockEventSource.autoOpen = true
+
+  /**
+   * Every MockEventSource created since the last install
+   * @type {MockEventSource[]}
+   */
+  MockEventSource.instances = []
+
+  /**
+   * install makes htmx create MockEventSources, and returns a function restoring the
+   * previous htmx.createEventSource.
+   *
+   * @param {Object} htmx
+   * @returns {() => void}
+   */
+  MockEventSource.install = function(htmx) {
+    var previous = htmx.createEventSource
+    MockEventSource.instances = []
+    htmx.createEventSource = function(url, options) {
+      return new MockEventSource(url, options)
+    }
+    return function() {
+      htmx.createEventSource = previous
+    }
+  }
+
+  /**
+   * latest returns the last created MockEventSource, if any.
+   *
+   * @returns {MockEventSource | undefined}
+   */
+  MockEventSource.latest = function() {
+    return MockEventSource.instances[MockEventSource.instances.length - 1]
+  }
+
+  MockEventSource.prototype.addEventListener = function(name, listener) {
+    if (!this._listeners[name]) {
+      this._listeners[name] = []
+    }
+    this._listeners[name].push(listener)
+  }
+
+  MockEventSource.prototype.removeEventListener = function(name, listener) {
+    if (this._listeners[name]) {
+      this._listeners[name] = this._listeners[name].filter(function(l) {
+        return l !== listener
+      })
+    }
+  }
+
+  MockEventSource.prototype.dispatchEvent = function(event) {
+    var handler = this['on' + event.type]
+    if (typeof handler === 'function') {
+      handler.call(this, event)
+    }
+    var listeners = (this._listeners[event.type] || []).slice()
+    for (var i = 0; i < listeners.length; i++) {
+      listeners[i].call(this, event)
+    }
+    return true
+  }
+
+  MockEventSource.prototype.close = function() {
+    this.readyState = MockEventSource.CLOSED
+  }
+
+  /**
+   * open simulates a successful connection.
+   */
+  MockEventSource.prototype.open = function() {
+    this.readyState = MockEventSource.OPEN
+    this.dispatchEvent(new Event('open'))
+  }
+
+  /**
+   * sendEvent simulates a message received from the server.  Messages can only be received
+   * by open sources.
+   *
+   * @param {string} name the event name, "message" for unnamed events
+   * @param {string} [data]
+   * @param {string} [id] the event id, which becomes the lastEventId of the source
+   */
+  MockEventSource.prototype.sendEvent = function(name, data, id) {
+    if (this.readyState !== MockEventSource.OPEN) {
+      throw new Error('MockEventSource cannot receive "' + name + '" while it is not open')
+    }
+    if (id !== undefined) {
+      this.lastEventId = id
+    }
+    this.dispatchEvent(new MessageEvent(name, { data, lastEventId: this.lastEventId }))
+  }
+
+  /**
+   * simulateConnectionError simulates a lost connection.  By default the source is closed,
+   * like an EventSource that gave up, but it can also be left in the CONNECTING state, like
+   * an EventSource reconnecting by itself.
+   *
+   * @param {number} [readyState]
+   */
+  MockEventSource.prototype.simulateConnectionError = function(readyState) {
+    this.readyState = readyState === undefined ? MockEventSource.CLOSED : readyState
+    this.dispatchEvent(new Event('error'))
+  }
+
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = MockEventSource
+  } else {
+    window.MockEventSource = MockEventSource
+  }
+})()
@@ -9,6 +9,9 @@ describe('web-sockets extension', function() {
         handlers.push(handler)
         this._listeners[event] = handlers
       },
+      removeEventListener: function(event, handler) {
+        this._listeners[event] = (this._listeners[event] || []).filter(function(h) { return h !== handler })
+      },
       on: function(event, handler) {
         this.addEventListener(event, handler)
       },
@@ -111,6 +114,13 @@ describe('web-sockets extension', function() {
     this.socketServer.stop()
     this.clock.restore()
     htmx.createWebSocket = this.oldCreateWebSocket
+    // forget the decoders, encoders and send formats registered by the tests
+    htmx.ws.registerDecoder('test-reversed', undefined)
+    htmx.ws.registerDecoder('test-envelope', undefined)
+    htmx.ws.registerDecoder('test-async', undefined)
+    htmx.ws.registerDecoder('test-delayed', undefined)
+    htmx.ws.registerEncoder('test-keys', undefined)
+    htmx.ws.registerSendFormat('test-csv', undefined)
   })
 
   it('can establish connection with the server', function() {
@@ -657,6 +667,865 @@ describe('web-sockets extension', function() {
     htmx.off(div, 'htmx:wsClose', reconnect)
   })
 
+  it('swaps json messages into their target with ws-protocol="json"', function() {
+    make('<div hx-ext="ws" ws-connect="ws://localhost:8080" ws-protocol="json"><ul id="list"><li>1</li></ul><div id="d1">div1</div></div>')
+    this.tickMock()
+
+    this.socketServer.emit('message', JSON.stringify({ type: 'swap', target: '#list', swap: 'beforeend', html: '<li>2</li>' }))
+    this.socketServer.emit('message', JSON.stringify([
+      { type: 'swap', html: '<div id="d1">replaced</div>' },
+      { type: 'swap', target: '#list', html: '<li>3</li>' }
+    ]))
+
+    this.tickMock()
+    byId('d1').innerHTML.should.equal('replaced')
+    byId('list').innerHTML.should.equal('<li>3</li>')
+  })
+
+  it('triggers events from json messages with ws-protocol="json"', function() {
+    var details = []
+    var div = make('<div hx-ext="ws" ws-connect="ws://localhost:8080" ws-protocol="json"><div id="d1">div1</div></div>')
+    htmx.on(div, 'refresh', function(evt) { details.push(evt.detail.page) })
+    htmx.on(byId('d1'), 'refresh-d1', function(evt) { details.push(evt.target.id) })
+    this.tickMock()
+
+    this.socketServer.emit('message', JSON.stringify({ type: 'trigger', event: 'refresh', detail: { page: 2 } }))
+    this.socketServer.emit('message', JSON.stringify({ type: 'trigger', event: 'refresh-d1', target: '#d1' }))
+
+    this.tickMock()
+    details.should.deep.equal([2, 'd1'])
+  })
+
+  it('raises errors for invalid json messages with ws-protocol="json"', function() {
+    var errors = []
+    var div = make('<div hx-ext="ws" ws-connect="ws://localhost:8080" ws-protocol="json"></div>')
+    htmx.on(div, 'htmx:wsParseError', function() { errors.push('parse') })
+    htmx.on(div, 'htmx:targetError', function(evt) { errors.push(evt.detail.target) })
+    htmx.on(div, 'htmx:wsUnknownMessage', function(evt) { errors.push(evt.detail.envelope.type) })
+    this.tickMock()
+
+    this.socketServer.emit('message', '<div id="d1">not json</div>')
+    this.socketServer.emit('message', JSON.stringify({ type: 'swap', target: '#missing', html: 'x' }))
+    this.socketServer.emit('message', JSON.stringify({ type: 'unknown' }))
+
+    this.tickMock()
+    errors.should.deep.equal(['parse', '#missing', 'unknown'])
+  })
+
+  it('raises errors for the envelopes that are not objects, and handles the others', function() {
+    var errors = []
+    var div = make('<div hx-ext="ws" ws-connect="ws://localhost:8080" ws-protocol="json"><div id="d1">div1</div></div>')
+    htmx.on(div, 'htmx:wsParseError', function(evt) { errors.push(evt.detail.message) })
+    this.tickMock()
+
+    var batch = JSON.stringify([42, null, { type: 'swap', target: '#d1', html: 'replaced' }])
+    this.socketServer.emit('message', 'null')
+    this.socketServer.emit('message', '42')
+    this.socketServer.emit('message', batch)
+
+    this.tickMock()
+    errors.should.deep.equal(['null', '42', batch, batch])
+    byId('d1').innerHTML.should.equal('replaced')
+  })
+
+  it('swaps replies into the target of ws-reply elements', function() {
+    var replies = 0
+    make('<div hx-ext="ws" ws-connect="ws://localhost:8080">' +
+      '<button id="d1" ws-send ws-reply hx-target="#result" hx-swap="beforeend">send</button>' +
+      '<div id="result">result</div>' +
+      '</div>')
+    htmx.on(byId('d1'), 'htmx:wsReply', function() { replies++ })
+    this.tickMock()
+
+    byId('d1').click()
+    this.tickMock()
+    var requestId = JSON.parse(this.messages[0]).HEADERS['HX-Request-ID']
+    should.exist(requestId)
+    byId('d1').classList.contains('htmx-request').should.be.true
+
+    this.socketServer.emit('message', '<div ws-reply-to="' + requestId + '"> reply</div>')
+    byId('result').innerHTML.should.equal('result reply')
+    byId('d1').classList.contains('htmx-request').should.be.false
+    replies.should.equal(1)
+
+    this.socketServer.emit('message', '<div ws-reply-to="' + requestId + '"> again</div>')
+    byId('result').innerHTML.should.equal('result reply')
+  })
+
+  it('swaps json replies into the target of ws-reply elements', function() {
+    make('<div hx-ext="ws" ws-connect="ws://localhost:8080" ws-protocol="json">' +
+      '<button id="d1" ws-send ws-reply hx-target="#result" hx-indicator="#spinner">send</button>' +
+      '<div id="result">result</div><div id="spinner"></div>' +
+      '</div>')
+    this.tickMock()
+
+    byId('d1').click()
+    this.tickMock()
+    var requestId = JSON.parse(this.messages[0]).HEADERS['HX-Request-ID']
+    byId('spinner').classList.contains('htmx-request').should.be.true
+    byId('d1').classList.contains('htmx-request').should.be.false
+
+    this.socketServer.emit('message', JSON.stringify({ type: 'swap', replyTo: requestId, swap: 'afterbegin', html: 'reply ' }))
+    byId('result').innerHTML.should.equal('reply result')
+    byId('spinner').classList.contains('htmx-request').should.be.false
+  })
+
+  it('shows the pending replies on an inherited hx-indicator', function() {
+    make('<div hx-ext="ws" ws-connect="ws://localhost:8080">' +
+      '<form id="f1" hx-indicator="this"><button id="d1" ws-send ws-reply hx-target="#result">send</button></form>' +
+      '<div id="f2" hx-indicator="closest div"><button id="d2" ws-send ws-reply hx-target="#result">send</button></div>' +
+      '<div id="result">result</div>' +
+      '</div>')
+    this.tickMock()
+
+    byId('d1').click()
+    byId('d2').click()
+    this.tickMock()
+    var firstId = JSON.parse(this.messages[0]).HEADERS['HX-Request-ID']
+    byId('f1').classList.contains('htmx-request').should.be.true
+    byId('d1').classList.contains('htmx-request').should.be.false
+    byId('f2').classList.contains('htmx-request').should.be.true
+    byId('d2').classList.contains('htmx-request').should.be.false
+
+    this.socketServer.emit('message', '<div ws-reply-to="' + firstId + '">reply</div>')
+    byId('f1').classList.contains('htmx-request').should.be.false
+    byId('f2').classList.contains('htmx-request').should.be.true
+  })
+
+  it('raises htmx:wsReplyTimeout when no reply arrives in time', function() {
+    var timeouts = 0
+    make('<div hx-ext="ws" ws-connect="ws://localhost:8080">' +
+      '<button id="d1" ws-send ws-reply="1s" hx-target="#result">send</button>' +
+      '<div id="result">result</div>' +
+      '</div>')
+    htmx.on(byId('d1'), 'htmx:wsReplyTimeout', function() { timeouts++ })
+    this.tickMock()
+
+    byId('d1').click()
+    this.tickMock()
+    var requestId = JSON.parse(this.messages[0]).HEADERS['HX-Request-ID']
+    this.clock.tick(1000)
+    timeouts.should.equal(1)
+    byId('d1').classList.contains('htmx-request').should.be.false
+
+    this.socketServer.emit('message', '<div ws-reply-to="' + requestId + '">late</div>')
+    byId('result').innerHTML.should.equal('result')
+  })
+
+  it('sends ws-heartbeat pings and reconnects when no message answers them', function() {
+    var missed = 0
+    var connecting = 0
+    var div = make('<div hx-ext="ws" ws-connect="ws://localhost:8080" ws-heartbeat="1s" ws-heartbeat-ping="{&quot;type&quot;:&quot;ping&quot;}"></div>')
+    htmx.on(div, 'htmx:wsHeartbeatMissed', function() { missed++ })
+    htmx.on(div, 'htmx:wsConnecting', function() { connecting++ })
+    htmx.config.wsReconnectDelay = function() { return 10 }
+    try {
+      this.tickMock()
+
+      this.clock.tick(1000)
+      this.messages.should.deep.equal(['{"type":"ping"}'])
+      this.socketServer.emit('message', 'pong')
+      this.clock.tick(1000)
+      this.messages.length.should.equal(2)
+      missed.should.equal(0)
+
+      this.clock.tick(1000)
+      missed.should.equal(1)
+      this.tickMock()
+      connecting.should.equal(0)
+      this.clock.tick(10)
+      connecting.should.equal(1)
+      this.socketServer.clients().length.should.equal(1)
+    } finally {
+      htmx.config.wsReconnectDelay = 'full-jitter'
+    }
+  })
+
+  it('reconnects according to htmx.config.wsReconnectCodes', function() {
+    var connecting = 0
+    var div = make('<div hx-ext="ws" ws-connect="ws://localhost:8080"></div>')
+    htmx.on(div, 'htmx:wsConnecting', function() { connecting++ })
+    htmx.config.wsReconnectDelay = function() { return 10 }
+    var socket = div['htmx-internal-data'].webSocket.socket
+    try {
+      this.tickMock()
+      socket.onclose({ type: 'close', code: 1000 })
+      this.clock.tick(10)
+      connecting.should.equal(0)
+      socket.onclose({ type: 'close', code: 1001 })
+      this.clock.tick(10)
+      connecting.should.equal(1)
+
+      htmx.config.wsReconnectCodes = function(event) { return event.code === 4001 }
+      socket.onclose({ type: 'close', code: 1001 })
+      this.clock.tick(10)
+      connecting.should.equal(1)
+      socket.onclose({ type: 'close', code: 4001 })
+      this.clock.tick(10)
+      connecting.should.equal(2)
+    } finally {
+      htmx.config.wsReconnectDelay = 'full-jitter'
+      htmx.config.wsReconnectCodes = [1001, 1005, 1006, 1011, 1012, 1013, 1014]
+    }
+  })
+
+  it('gives up reconnecting after ws-max-retries', function() {
+    var connecting = 0
+    var giveUp = null
+    var div = make('<div hx-ext="ws" ws-connect="ws://localhost:8080" ws-max-retries="1"></div>')
+    htmx.on(div, 'htmx:wsConnecting', function() { connecting++ })
+    htmx.on(div, 'htmx:wsGiveUp', function(evt) { giveUp = evt.detail.retryCount })
+    htmx.config.wsReconnectDelay = function() { return 10 }
+    var socket = div['htmx-internal-data'].webSocket.socket
+    try {
+      socket.onclose({ type: 'close', code: 1006 })
+      this.clock.tick(10)
+      connecting.should.equal(1)
+      socket.onclose({ type: 'close', code: 1006 })
+      this.clock.tick(10)
+      connecting.should.equal(1)
+      giveUp.should.equal(1)
+    } finally {
+      htmx.config.wsReconnectDelay = 'full-jitter'
+    }
+  })
+
+  it('reconnects as soon as the browser is online with ws-reconnect-online', function() {
+    var connecting = 0
+    var div = make('<div hx-ext="ws" ws-connect="ws://localhost:8080" ws-reconnect-online></div>')
+    htmx.on(div, 'htmx:wsConnecting', function() { connecting++ })
+    htmx.config.wsReconnectDelay = function() { return 10000 }
+    var socket = div['htmx-internal-data'].webSocket.socket
+    try {
+      socket.onclose({ type: 'close', code: 1006 })
+      window.dispatchEvent(new Event('online'))
+      connecting.should.equal(1)
+      this.clock.tick(10000)
+      connecting.should.equal(1)
+    } finally {
+      htmx.config.wsReconnectDelay = 'full-jitter'
+    }
+  })
+
+  function makeClosedSocket(html) {
+    var div = make(html)
+    var socketWrapper = div['htmx-internal-data'].webSocket
+    socketWrapper.socket.OPEN = 1
+    socketWrapper.socket.readyState = 0
+    return socketWrapper
+  }
+
+  it('drops the oldest queued messages beyond ws-queue-max', function() {
+    var dropped = []
+    var socketWrapper = makeClosedSocket('<div id="socket" hx-ext="ws" ws-connect="ws://localhost:8080" ws-queue-max="2"></div>')
+    htmx.on(byId('socket'), 'htmx:wsMessageDropped', function(evt) { dropped.push(evt.detail.message + ':' + evt.detail.reason) })
+
+    socketWrapper.send('a')
+    socketWrapper.send('b')
+    socketWrapper.send('c')
+    dropped.should.deep.equal(['a:overflow'])
+
+    socketWrapper.socket.readyState = 1
+    this.tickMock()
+    this.messages.should.deep.equal(['b', 'c'])
+  })
+
+  it('rejects messages beyond ws-queue-max with ws-queue-overflow="reject"', function() {
+    var rejected = []
+    var socketWrapper = makeClosedSocket('<div hx-ext="ws" ws-connect="ws://localhost:8080" ws-queue-max="1" ws-queue-overflow="reject"><div id="d1"></div></div>')
+    htmx.on(byId('d1'), 'htmx:wsQueueOverflow', function(evt) { rejected.push(evt.detail.message) })
+
+    socketWrapper.send('a', byId('d1'))
+    socketWrapper.send('b', byId('d1'))
+    rejected.should.deep.equal(['b'])
+    socketWrapper.publicInterface.queue.length.should.equal(1)
+  })
+
+  it('drops queued messages older than ws-queue-ttl', function() {
+    var dropped = []
+    var socketWrapper = makeClosedSocket('<div id="socket" hx-ext="ws" ws-connect="ws://localhost:8080" ws-queue-ttl="1s"></div>')
+    htmx.on(byId('socket'), 'htmx:wsMessageDropped', function(evt) { dropped.push(evt.detail.message + ':' + evt.detail.reason) })
+
+    socketWrapper.send('a')
+    this.clock.tick(500)
+    socketWrapper.send('b')
+    this.clock.tick(500)
+
+    socketWrapper.socket.readyState = 1
+    socketWrapper.handleQueuedMessages()
+    dropped.should.deep.equal(['a:expired'])
+    this.messages.should.deep.equal(['b'])
+  })
+
+  it('keeps the queue in the sessionStorage with ws-queue-storage="session"', function() {
+    var key = 'htmx-ws-queue:ws://localhost:8080'
+    try {
+      var socketWrapper = makeClosedSocket('<div hx-ext="ws" ws-connect="ws://localhost:8080" ws-queue-storage="session"><div id="d1"></div></div>')
+      socketWrapper.send('a', byId('d1'))
+      JSON.parse(sessionStorage.getItem(key)).should.deep.equal([{ message: 'a', sendEltId: 'd1' }])
+
+      socketWrapper.socket.readyState = 1
+      socketWrapper.handleQueuedMessages()
+      this.messages.should.deep.equal(['a'])
+      should.equal(sessionStorage.getItem(key), null)
+    } finally {
+      sessionStorage.removeItem(key)
+    }
+  })
+
+  it('sends the queue kept in the sessionStorage by the previous page', function() {
+    var key = 'htmx-ws-queue:ws://localhost:8080'
+    var sent = []
+    sessionStorage.setItem(key, JSON.stringify([{ message: 'a', sendEltId: 'd1' }, { message: 'b' }]))
+    try {
+      make('<div hx-ext="ws" ws-connect="ws://localhost:8080" ws-queue-storage="session"><div id="d1"></div></div>')
+      htmx.on(byId('d1'), 'htmx:wsAfterSend', function(evt) { sent.push(evt.detail.message) })
+      this.tickMock()
+      this.messages.should.deep.equal(['a', 'b'])
+      sent.should.deep.equal(['a'])
+      should.equal(sessionStorage.getItem(key), null)
+    } finally {
+      sessionStorage.removeItem(key)
+    }
+  })
+
+  it('keeps the queue in memory when the sessionStorage is blocked or corrupted', function() {
+    var key = 'htmx-ws-queue:ws://localhost:8080'
+    var errors = []
+    var descriptor = Object.getOwnPropertyDescriptor(window, 'sessionStorage')
+    var handler = htmx.on('htmx:wsQueueStorageError', function(evt) { errors.push(evt.detail.error.name) })
+    sessionStorage.setItem(key, '{not json')
+    try {
+      make('<div hx-ext="ws" ws-connect="ws://localhost:8080" ws-queue-storage="session"></div>')
+      errors.should.deep.equal(['SyntaxError'])
+      should.not.exist(sessionStorage.getItem(key))
+      clearWorkArea()
+
+      sessionStorage.setItem(key, '[null]')
+      var div = make('<div hx-ext="ws" ws-connect="ws://localhost:8080" ws-queue-storage="session"></div>')
+      errors.should.deep.equal(['SyntaxError', 'TypeError'])
+      should.not.exist(sessionStorage.getItem(key))
+      div['htmx-internal-data'].webSocket.messageQueue.length.should.equal(0)
+      clearWorkArea()
+
+      Object.defineProperty(window, 'sessionStorage', {
+        configurable: true,
+        get: function() { throw new DOMException('blocked', 'SecurityError') }
+      })
+      var socketWrapper = makeClosedSocket('<div hx-ext="ws" ws-connect="ws://localhost:8080" ws-queue-storage="session"></div>')
+      socketWrapper.send('a')
+      socketWrapper.messageQueue.length.should.equal(1)
+      errors[2].should.equal('SecurityError')
+    } finally {
+      delete window.sessionStorage
+      if (descriptor) {
+        Object.defineProperty(window, 'sessionStorage', descriptor)
+      }
+      htmx.off('htmx:wsQueueStorageError', handler)
+      sessionStorage.removeItem(key)
+    }
+  })
+
+  it('offers the ws-protocols subprotocols and exposes the negotiated one', function() {
+    var createWebSocket = htmx.createWebSocket
+    var offered = null
+    var negotiated = null
+    htmx.createWebSocket = function(url, protocols) {
+      offered = protocols
+      var socket = createWebSocket(url)
+      socket.protocol = protocols[1]
+      return socket
+    }
+    var div = make('<div hx-ext="ws" ws-connect="ws://localhost:8080" ws-protocols="graphql-transport-ws, v1.myapp"></div>')
+    htmx.on(div, 'htmx:wsOpen', function(evt) { negotiated = evt.detail.protocol })
+    this.tickMock()
+
+    offered.should.deep.equal(['graphql-transport-ws', 'v1.myapp'])
+    negotiated.should.equal('v1.myapp')
+    div['htmx-internal-data'].webSocket.publicInterface.protocol.should.equal('v1.myapp')
+  })
+
+  it('holds the queue until the server acknowledges the authentication message', function() {
+    var authenticated = 0
+    var div = make('<div hx-ext="ws" ws-connect="ws://localhost:8080" ws-auth-ack="connection_ack">' +
+      '<div id="d1" ws-send hx-vals=\'{"a": 1}\'></div><div id="d2">div2</div></div>')
+    htmx.on(div, 'htmx:wsAuthenticate', function(evt) { evt.detail.message = '{"type":"connection_init"}' })
+    htmx.on(div, 'htmx:wsAuthenticated', function() { authenticated++ })
+    this.tickMock()
+    this.messages.should.deep.equal(['{"type":"connection_init"}'])
+
+    byId('d1').click()
+    this.messages.length.should.equal(1)
+
+    this.socketServer.emit('message', '<div id="d2">replaced</div>')
+    this.messages.length.should.equal(1)
+    this.socketServer.emit('message', '{"type":"connection_ack"}')
+    authenticated.should.equal(1)
+    this.messages.length.should.equal(2)
+    JSON.parse(this.messages[1]).a.should.equal(1)
+    byId('d2').innerHTML.should.equal('replaced')
+  })
+
+  it('decodes binary frames as UTF-8 text by default', function() {
+    var div = make('<div hx-ext="ws" ws-connect="ws://localhost:8080"><div id="d1">div1</div></div>')
+    this.tickMock()
+
+    this.socketServer.emit('message', new TextEncoder().encode('<div id="d1">replaced</div>').buffer)
+    byId('d1').innerHTML.should.equal('replaced')
+  })
+
+  it('decodes frames with the registered ws-decoder, into html or JSON messages', function() {
+    htmx.ws.registerDecoder('test-reversed', function(data) {
+      return data.split('').reverse().join('')
+    })
+    htmx.ws.registerDecoder('test-envelope', function(data) {
+      return { type: 'swap', target: '#d2', html: data }
+    })
+    var div1 = make('<div hx-ext="ws" ws-connect="ws://localhost:8080" ws-decoder="test-reversed"><div id="d1">div1</div></div>')
+    this.tickMock()
+    this.socketServer.emit('message', '>vid/<desserper>"1d"=di vid<')
+    byId('d1').innerHTML.should.equal('repressed')
+
+    div1.remove()
+    this.tickMock()
+    make('<div hx-ext="ws" ws-connect="ws://localhost:8080" ws-decoder="test-envelope"><div id="d2">div2</div></div>')
+    this.tickMock()
+    this.socketServer.emit('message', 'decoded')
+    byId('d2').innerHTML.should.equal('decoded')
+  })
+
+  it('swaps the frames decoded by asynchronous decoders', function() {
+    htmx.ws.registerDecoder('test-async', function(data) {
+      return Promise.resolve(data)
+    })
+    make('<div hx-ext="ws" ws-connect="ws://localhost:8080" ws-decoder="test-async"><div id="d1">div1</div></div>')
+    this.tickMock()
+
+    this.socketServer.emit('message', '<div id="d1">replaced</div>')
+    byId('d1').innerHTML.should.equal('div1')
+    return Promise.resolve().then(function() {
+      byId('d1').innerHTML.should.equal('replaced')
+    })
+  })
+
+  it('handles the frames in order when asynchronous decoders take different times', async function() {
+    var clock = this.clock
+    var messages = []
+    htmx.ws.registerDecoder('test-delayed', function(data) {
+      return new Promise(function(resolve) {
+        setTimeout(function() { resolve(data) }, data === 'slow' ? 10 : 0)
+      })
+    })
+    var div = make('<div hx-ext="ws" ws-connect="ws://localhost:8080" ws-decoder="test-delayed"></div>')
+    htmx.on(div, 'htmx:wsAfterMessage', function(evt) { messages.push(evt.detail.message) })
+    this.tickMock()
+
+    this.socketServer.emit('message', 'slow')
+    this.socketServer.emit('message', 'fast')
+    for (var i = 0; i < 10; i++) {
+      clock.tick(5)
+      await Promise.resolve()
+    }
+    messages.should.deep.equal(['slow', 'fast'])
+
+    div.removeAttribute('ws-decoder')
+    this.socketServer.emit('message', 'plain')
+    messages.should.deep.equal(['slow', 'fast', 'plain'])
+  })
+
+  it('triggers htmx:wsDecodeError for an unknown ws-decoder', function() {
+    var errors = []
+    var div = make('<div hx-ext="ws" ws-connect="ws://localhost:8080" ws-decoder="missing"></div>')
+    htmx.on(div, 'htmx:wsDecodeError', function(evt) { errors.push(evt.detail.decoder) })
+    this.tickMock()
+
+    this.socketServer.emit('message', 'data')
+    errors.should.deep.equal(['missing'])
+  })
+
+  it('encodes the messages of ws-send elements with the ws-encoder', function() {
+    htmx.ws.registerEncoder('test-keys', function(message, sendElt) {
+      return Object.keys(message).join(',') + '@' + sendElt.id
+    })
+    var div = make('<div hx-ext="ws" ws-connect="ws://localhost:8080" ws-encoder="test-keys">' +
+      '<div id="d1" ws-send hx-vals=\'{"a": 1, "b": 2}\'></div></div>')
+    this.tickMock()
+
+    byId('d1').click()
+    this.tickMock()
+    this.messages.should.deep.equal(['a,b,HEADERS@d1'])
+  })
+
+  it('sends nested objects with ws-send-format="json"', function() {
+    make('<div hx-ext="ws" ws-connect="ws://localhost:8080"><form id="f1" ws-send ws-send-format="json">' +
+      '<input name="user[name]" value="Ann"><input name="user[address][city]" value="Oslo">' +
+      '<input name="tags[]" value="a"><input name="tags[]" value="b"><input name="plain" value="p">' +
+      '</form></div>')
+    this.tickMock()
+
+    byId('f1').dispatchEvent(new Event('submit'))
+    this.tickMock()
+    var message = JSON.parse(this.messages[0])
+    message.user.should.deep.equal({ name: 'Ann', address: { city: 'Oslo' } })
+    message.tags.should.deep.equal(['a', 'b'])
+    message.plain.should.equal('p')
+    message.HEADERS['HX-Request'].should.equal('true')
+  })
+
+  it('leaves out the parameters naming prototype keys with ws-send-format="json"', function() {
+    make('<div hx-ext="ws" ws-connect="ws://localhost:8080"><form id="f1" ws-send ws-send-format="json" ws-send-headers="false">' +
+      '<input name="__proto__[polluted]" value="1"><input name="user[constructor][prototype][polluted]" value="1">' +
+      '<input name="user[name]" value="Ann">' +
+      '</form></div>')
+    this.tickMock()
+
+    byId('f1').dispatchEvent(new Event('submit'))
+    this.tickMock()
+    JSON.parse(this.messages[0]).should.deep.equal({ user: { name: 'Ann' } })
+    should.equal({}.polluted, undefined)
+  })
+
+  it('keeps the first of conflicting parameters with ws-send-format="json"', function() {
+    make('<div hx-ext="ws" ws-connect="ws://localhost:8080"><form id="f1" ws-send ws-send-format="json" ws-send-headers="false">' +
+      '<input name="a" value="1"><input name="a[b]" value="2">' +
+      '<input name="c[d]" value="3"><input name="c" value="4">' +
+      '</form></div>')
+    this.tickMock()
+
+    byId('f1').dispatchEvent(new Event('submit'))
+    this.tickMock()
+    JSON.parse(this.messages[0]).should.deep.equal({ a: '1', c: { d: '3' } })
+  })
+
+  it('converts the values of typed inputs with ws-send-format="json-typed"', function() {
+    make('<div hx-ext="ws" ws-connect="ws://localhost:8080"><form id="f1" ws-send ws-send-format="json-typed" ws-send-headers="false" hx-vals=\'{"flag": false, "n": "3"}\'>' +
+      '<input type="number" name="qty" value="2"><input type="range" name="level" value="7">' +
+      '<input type="checkbox" name="agree" checked><input name="n" value="4">' +
+      '</form></div>')
+    this.tickMock()
+
+    byId('f1').dispatchEvent(new Event('submit'))
+    this.tickMock()
+    JSON.parse(this.messages[0]).should.deep.equal({ qty: 2, level: 7, agree: true, n: '3', flag: false })
+  })
+
+  it('sends urlencoded parameters with ws-send-format="form"', function() {
+    make('<div hx-ext="ws" ws-connect="ws://localhost:8080"><form id="f1" ws-send ws-send-format="form">' +
+      '<input name="q" value="a b"><input name="tag" value="x"><input name="tag" value="y">' +
+      '</form></div>')
+    this.tickMock()
+
+    byId('f1').dispatchEvent(new Event('submit'))
+    this.tickMock()
+    this.messages.should.deep.equal(['q=a+b&tag=x&tag=y'])
+  })
+
+  it('flattens the objects of hx-vals into bracketed names with ws-send-format="form"', function() {
+    make('<div hx-ext="ws" ws-connect="ws://localhost:8080"><form id="f1" ws-send ws-send-format="form"' +
+      ' hx-vals=\'{"user": {"name": "Ann", "tags": ["a", "b"]}, "items": [{"id": 1}]}\'>' +
+      '<input name="q" value="x"></form></div>')
+    this.tickMock()
+
+    byId('f1').dispatchEvent(new Event('submit'))
+    this.tickMock()
+    decodeURIComponent(this.messages[0]).should.equal('q=x&user[name]=Ann&user[tags]=a&user[tags]=b&items[0][id]=1')
+  })
+
+  it('keeps the request id of ws-reply elements without the headers', function() {
+    make('<div hx-ext="ws" ws-connect="ws://localhost:8080">' +
+      '<form id="f1" ws-send ws-reply ws-send-format="form" hx-target="#r1"><input name="q" value="a"></form>' +
+      '<form id="f2" ws-send ws-reply ws-send-headers="false" hx-target="#r2"><input name="q" value="b"></form>' +
+      '<div id="r1"></div><div id="r2"></div>' +
+      '</div>')
+    this.tickMock()
+
+    byId('f1').dispatchEvent(new Event('submit'))
+    byId('f2').dispatchEvent(new Event('submit'))
+    this.tickMock()
+    var firstId = new URLSearchParams(this.messages[0]).get('HX-Request-ID')
+    var second = JSON.parse(this.messages[1])
+    second.should.deep.equal({ q: 'b', HEADERS: { 'HX-Request-ID': second.HEADERS['HX-Request-ID'] } })
+
+    this.socketServer.emit('message', '<div ws-reply-to="' + firstId + '">reply 1</div>')
+    this.socketServer.emit('message', '<div ws-reply-to="' + second.HEADERS['HX-Request-ID'] + '">reply 2</div>')
+    byId('r1').innerHTML.should.equal('reply 1')
+    byId('r2').innerHTML.should.equal('reply 2')
+  })
+
+  it('sends messages with a registered send format', function() {
+    htmx.ws.registerSendFormat('test-csv', function(parameters, headers, sendElt) {
+      return sendElt.id + ':' + Object.keys(parameters).map(function(name) { return parameters[name] }).join(',')
+    })
+    make('<div hx-ext="ws" ws-connect="ws://localhost:8080" ws-send-format="test-csv">' +
+      '<div id="d1" ws-send hx-vals=\'{"a": 1, "b": 2}\'></div></div>')
+    this.tickMock()
+
+    byId('d1').click()
+    this.tickMock()
+    this.messages.should.deep.equal(['d1:1,2'])
+  })
+
+  it('subscribes to the channels of ws-subscribe elements, and unsubscribes when they are cleaned up', function() {
+    var createWebSocket = htmx.createWebSocket
+    htmx.createWebSocket = function(url) {
+      var socket = createWebSocket(url)
+      socket.OPEN = 1
+      socket.readyState = 0
+      return socket
+    }
+    var div = make('<div hx-ext="ws" ws-connect="ws://localhost:8080">' +
+      '<div id="w1" ws-subscribe="orders, prices"></div>' +
+      '<div id="w2"><div ws-subscribe="orders"></div></div></div>')
+    this.tickMock()
+    this.messages.map(JSON.parse).should.deep.equal([
+      { type: 'subscribe', channel: 'orders' },
+      { type: 'subscribe', channel: 'prices' }
+    ])
+
+    div['htmx-internal-data'].webSocket.socket.readyState = 1
+    this.messages = []
+    this.socketServer.emit('message', '<div id="w1" hx-swap-oob="true"></div>')
+    this.messages.map(JSON.parse).should.deep.equal([{ type: 'unsubscribe', channel: 'prices' }])
+
+    this.socketServer.emit('message', '<div id="w2" hx-swap-oob="true"></div>')
+    this.messages.map(JSON.parse).should.deep.equal([
+      { type: 'unsubscribe', channel: 'prices' },
+      { type: 'unsubscribe', channel: 'orders' }
+    ])
+  })
+
+  it('unsubscribes the ws-subscribe elements cleaned up with their socket element', function() {
+    var createWebSocket = htmx.createWebSocket
+    htmx.createWebSocket = function(url) {
+      var socket = createWebSocket(url)
+      socket.OPEN = 1
+      socket.readyState = 1
+      return socket
+    }
+    make('<div id="layout"><div hx-ext="ws" ws-connect="ws://localhost:8080">' +
+      '<div ws-subscribe="orders"></div></div></div>')
+    this.tickMock()
+    var socketWrapper = byId('layout').firstChild['htmx-internal-data'].webSocket
+    this.messages = []
+
+    htmx.config.wsReleaseDelay = 1000
+    try {
+      htmx.swap('#layout', '<div hx-ext="ws" ws-connect="ws://localhost:8080"></div>', { swapStyle: 'innerHTML' })
+      socketWrapper.subscriptions.should.deep.equal({})
+      this.messages.map(JSON.parse).should.deep.equal([{ type: 'unsubscribe', channel: 'orders' }])
+    } finally {
+      htmx.config.wsReleaseDelay = 0
+    }
+  })
+
+  it('sends the subscription message set by htmx:wsSubscribe listeners', function() {
+    var div = make('<div hx-ext="ws" ws-connect="ws://localhost:8080"><div id="w1"></div></div>')
+    htmx.on(div, 'htmx:wsSubscribe', function(evt) { evt.detail.message = 'SUB ' + evt.detail.channel })
+    this.tickMock()
+
+    this.socketServer.emit('message', '<div id="w1" hx-swap-oob="true"><div ws-subscribe="news"></div></div>')
+    this.messages.should.deep.equal(['SUB news'])
+  })
+
+  it('subscribes the ws-subscribe elements next to legacy hx-ws elements', function() {
+    var createWebSocket = htmx.createWebSocket
+    htmx.createWebSocket = function(url) {
+      var socket = createWebSocket(url)
+      socket.OPEN = 1
+      socket.readyState = 0
+      return socket
+    }
+    make('<div hx-ext="ws" ws-connect="ws://localhost:8080">' +
+      '<form hx-ws="send"></form><div id="orders" ws-subscribe="orders"></div></div>')
+    this.tickMock()
+
+    this.messages.map(JSON.parse).should.deep.equal([{ type: 'subscribe', channel: 'orders' }])
+    this.socketServer.emit('message', '<div ws-channel="orders"><li>order</li></div>')
+    byId('orders').innerHTML.should.equal('<li>order</li>')
+  })
+
+  it('swaps channel messages into the targets of the subscribed elements only', function() {
+    make('<div hx-ext="ws" ws-connect="ws://localhost:8080">' +
+      '<ul id="orders1" ws-subscribe="orders" hx-swap="beforeend"></ul>' +
+      '<div ws-subscribe="orders" hx-target="#orders2"></div><div id="orders2"></div>' +
+      '<div id="prices" ws-subscribe="prices">prices</div></div>')
+    this.tickMock()
+
+    this.socketServer.emit('message', '<div ws-channel="orders"><li>order</li></div>')
+    byId('orders1').innerHTML.should.equal('<li>order</li>')
+    byId('orders2').innerHTML.should.equal('<li>order</li>')
+    byId('prices').innerHTML.should.equal('prices')
+
+    this.socketServer.emit('message', '<div ws-channel="unknown"><li>ignored</li></div>')
+    byId('orders1').innerHTML.should.equal('<li>order</li>')
+  })
+
+  it('swaps the JSON envelopes of a channel into the subscribed elements', function() {
+    make('<div hx-ext="ws" ws-connect="ws://localhost:8080" ws-protocol="json">' +
+      '<div id="prices" ws-subscribe="prices">prices</div></div>')
+    this.tickMock()
+
+    this.socketServer.emit('message', JSON.stringify({ type: 'swap', channel: 'prices', html: '<b>42</b>' }))
+    byId('prices').innerHTML.should.equal('<b>42</b>')
+  })
+
+  it('shares one socket between the elements connecting to the same url', function() {
+    var createWebSocket = htmx.createWebSocket
+    var created = 0
+    htmx.createWebSocket = function(url) {
+      created++
+      return createWebSocket(url)
+    }
+    make('<div id="w1"><div hx-ext="ws" ws-connect="ws://localhost:8080"></div></div>')
+    make('<div id="w2"><div hx-ext="ws" ws-connect="ws://localhost:8080"><div id="d1">div1</div></div></div>')
+    this.tickMock()
+    created.should.equal(1)
+
+    this.socketServer.emit('message', '<div id="d1">replaced</div>')
+    byId('d1').innerHTML.should.equal('replaced')
+
+    htmx.config.wsReleaseDelay = 1000
+    try {
+      htmx.swap('#w1', '', { swapStyle: 'innerHTML' })
+      this.clock.tick(1000)
+      this.socketServer.clients().length.should.equal(1)
+
+      htmx.swap('#w2', '', { swapStyle: 'innerHTML' })
+      this.clock.tick(999)
+      this.socketServer.clients().length.should.equal(1)
+      this.clock.tick(1)
+      this.socketServer.clients().length.should.equal(0)
+    } finally {
+      htmx.config.wsReleaseDelay = 0
+    }
+  })
+
+  it('closes the socket as soon as its last owner is cleaned up by default', function() {
+    htmx.config.wsReleaseDelay.should.equal(0)
+    make('<div id="w1"><div hx-ext="ws" ws-connect="ws://localhost:8080"></div></div>')
+    this.tickMock()
+    this.socketServer.clients().length.should.equal(1)
+
+    htmx.swap('#w1', '', { swapStyle: 'innerHTML' })
+    this.socketServer.clients().length.should.equal(0)
+  })
+
+  it('hands the socket and its queue over to the element replacing its owner', function() {
+    var createWebSocket = htmx.createWebSocket
+    var created = 0
+    htmx.createWebSocket = function(url) {
+      created++
+      return createWebSocket(url)
+    }
+    var adopted = null
+    make('<div id="layout"><div hx-ext="ws" ws-connect="ws://localhost:8080"></div></div>')
+    this.tickMock()
+    var socketWrapper = byId('layout').firstChild['htmx-internal-data'].webSocket
+    socketWrapper.messageQueue.push({ message: 'queued' })
+    htmx.on('htmx:wsAdopted', function handler(evt) {
+      adopted = evt.detail.elt
+      htmx.off('htmx:wsAdopted', handler)
+    })
+
+    htmx.config.wsReleaseDelay = 1000
+    try {
+      htmx.swap('#layout', '<div id="socket" hx-ext="ws" ws-connect="ws://localhost:8080"><div id="d1">div1</div></div>', { swapStyle: 'innerHTML' })
+      created.should.equal(1)
+      should.equal(adopted, byId('socket'))
+      should.equal(byId('socket')['htmx-internal-data'].webSocket, socketWrapper)
+      socketWrapper.messageQueue.length.should.equal(1)
+
+      this.clock.tick(1000)
+      this.socketServer.clients().length.should.equal(1)
+      this.socketServer.emit('message', '<div id="d1">replaced</div>')
+      byId('d1').innerHTML.should.equal('replaced')
+    } finally {
+      htmx.config.wsReleaseDelay = 0
+    }
+  })
+
+  it('connects again the socket it adopts after a normal closure', function() {
+    var createWebSocket = htmx.createWebSocket
+    var created = 0
+    htmx.createWebSocket = function(url) {
+      created++
+      return createWebSocket(url)
+    }
+    make('<div id="layout"><div hx-ext="ws" ws-connect="ws://localhost:8080"></div></div>')
+    this.tickMock()
+    var socketWrapper = byId('layout').firstChild['htmx-internal-data'].webSocket
+    var socket = socketWrapper.socket
+    socket.OPEN = 1
+    socket.CONNECTING = 0
+    socket.readyState = 3
+    socket.onclose({ type: 'close', code: 1000 })
+    should.not.exist(socketWrapper.reconnectTimeout)
+
+    htmx.config.wsReleaseDelay = 1000
+    try {
+      htmx.swap('#layout', '<div id="socket" hx-ext="ws" ws-connect="ws://localhost:8080"></div>', { swapStyle: 'innerHTML' })
+      created.should.equal(2)
+      should.equal(byId('socket')['htmx-internal-data'].webSocket, socketWrapper)
+      socketWrapper.state.should.equal('connecting')
+    } finally {
+      htmx.config.wsReleaseDelay = 0
+    }
+  })
+
+  it('cancels the pending reconnection and triggers htmx:wsDispose when the last owner is cleaned up', function() {
+    var connecting = 0
+    var disposed = 0
+    make('<div id="w1"><div hx-ext="ws" ws-connect="ws://localhost:8080"></div></div>')
+    var div = byId('w1').firstChild
+    this.tickMock()
+    var socketWrapper = div['htmx-internal-data'].webSocket
+    htmx.on(div, 'htmx:wsConnecting', function() { connecting++ })
+    htmx.on(div, 'htmx:wsDispose', function() { disposed++ })
+    htmx.config.wsReconnectDelay = function() { return 5000 }
+    try {
+      socketWrapper.socket.onclose({ type: 'close', code: 1006 })
+      socketWrapper.state.should.equal('closed')
+
+      htmx.swap('#w1', '', { swapStyle: 'innerHTML' })
+      disposed.should.equal(1)
+      socketWrapper.state.should.equal('disposed')
+
+      this.clock.tick(10000)
+      connecting.should.equal(0)
+      socketWrapper.publicInterface.reconnect()
+      connecting.should.equal(0)
+    } finally {
+      htmx.config.wsReconnectDelay = 'full-jitter'
+    }
+  })
+
+  it('triggers htmx:wsSendError for the messages sent after the disposal', function() {
+    var errors = []
+    var div = make('<div hx-ext="ws" ws-connect="ws://localhost:8080"></div>')
+    this.tickMock()
+    var socketWrapper = div['htmx-internal-data'].webSocket
+    htmx.on(div, 'htmx:wsSendError', function(evt) { errors.push(evt.detail.message) })
+
+    socketWrapper.dispose()
+    socketWrapper.publicInterface.send('queued')
+    socketWrapper.publicInterface.sendImmediately('immediate')
+    errors.should.deep.equal(['queued', 'immediate'])
+    socketWrapper.messageQueue.length.should.equal(0)
+    this.messages.length.should.equal(0)
+  })
+
+  it('triggers htmx:wsSendError when sending immediately without a socket', function() {
+    var errors = []
+    var div = make('<div hx-ext="ws" ws-connect="ws://localhost:8080"><div id="d1"></div></div>')
+    this.tickMock()
+    var socketWrapper = div['htmx-internal-data'].webSocket
+    htmx.on(div, 'htmx:wsSendError', function(evt) { errors.push(evt.detail.message) })
+
+    socketWrapper.socket = null
+    socketWrapper.sendImmediately('message', byId('d1'))
+    errors.should.deep.equal(['message'])
+  })
+
   describe('Send immediately', function() {
     function checkCallForWsBeforeSend(spy, wrapper, message, target) {
       // Utility function to always check the same for htmx:wsBeforeSend caught by a spy
@@ -8,6 +8,76 @@ This extension adds support for WebSockets to htmx.  See /www/extensions/ws.md f
   /** @type {import("../htmx").HtmxInternalApi} */
   var api
 
+  /** the id of the last request sent by a `ws-reply` element */
+  var lastRequestId = 0
+
+  /** the parameter keys that would reach the prototypes of the nested objects of a message */
+  var unsafeKeys = ['__proto__', 'constructor', 'prototype']
+
+  /**
+   * The sockets shared by the elements connecting to the same url with the same subprotocols
+   * @type {Object<string, WebSocketWrapper>}
+   */
+  var socketPool = {}
+
+  /**
+   * The decoders of the `ws-decoder` attribute, by name.  A decoder turns the data of a frame
+   * into html, or into the object of a JSON message, and may return a Promise.
+   * @type {Object<string, (data: string | Blob | ArrayBuffer, socketElt: HTMLElement) => *>}
+   */
+  var decoders = {
+    text: decodeText,
+    'gzip-text': function(data) {
+      return new Response(new Blob([data]).stream().pipeThrough(new DecompressionStream('gzip'))).text()
+    }
+  }
+
+  /**
+   * The encoders of the `ws-encoder` attribute, by name.  An encoder turns the message of a
+   * ws-send element into the data of a frame, and may return a Promise.
+   * @type {Object<string, (message: string | Object, sendElt: HTMLElement) => *>}
+   */
+  var encoders = {
+    'gzip-text': function(message) {
+      var text = typeof message === 'string' ? message : JSON.stringify(message)
+      return new Response(new Blob([text]).stream().pipeThrough(new CompressionStream('gzip'))).arrayBuffer()
+    }
+  }
+
+  /**
+   * The formats of the `ws-send-format` attribute, by name.  A format turns the parameters of a
+   * ws-send element into its message: a string, or an object sent as JSON unless there is a
+   * `ws-encoder`.  When `ws-send-headers="false"` omits the headers, they are null, or only
+   * hold the HX-Request-ID of a `ws-reply` element so that the server can answer it.
+   * @type {Object<string, (parameters: Object, headers: Object | null, sendElt: HTMLElement) => string | Object>}
+   */
+  var sendFormats = {
+    // the parameters as they are, the default
+    raw: function(parameters, headers) {
+      return withHeaders(Object.assign({}, parameters), headers)
+    },
+    // user[name]=x becomes {"user": {"name": "x"}}, and items[]=x {"items": ["x"]}
+    json: function(parameters, headers) {
+      return withHeaders(nestParameters(parameters), headers)
+    },
+    // like json, with the values of number, range and checkbox inputs as numbers and booleans
+    'json-typed': function(parameters, headers, sendElt) {
+      return withHeaders(nestParameters(typeParameters(parameters, sendElt)), headers)
+    },
+    // application/x-www-form-urlencoded, without the headers but the HX-Request-ID of ws-reply,
+    // and the objects of hx-vals flattened like {"user": {"name": "x"}} into user[name]=x
+    form: function(parameters, headers) {
+      var searchParams = new URLSearchParams()
+      forEach(Object.keys(parameters), function(name) {
+        appendFormValue(searchParams, name, parameters[name])
+      })
+      if (headers && headers['HX-Request-ID']) {
+        searchParams.append('HX-Request-ID', headers['HX-Request-ID'])
+      }
+      return searchParams.toString()
+    }
+  }
+
   htmx.defineExtension('ws', {
 
     /**
@@ -23,10 +93,33 @@ This extension adds support for WebSockets to htmx.  See /www/extensions/ws.md f
         htmx.createWebSocket = createWebSocket
       }
 
+      // Binary formats such as msgpack or cbor need a library, whose functions are registered
+      // here, e.g. htmx.ws.registerDecoder('msgpack', function(data) { return MessagePack.decode(data) })
+      if (!htmx.ws) {
+        htmx.ws = {
+          registerDecoder: function(name, decoder) { decoders[name] = decoder },
+          registerEncoder: function(name, encoder) { encoders[name] = encoder },
+          registerSendFormat: function(name, format) { sendFormats[name] = format }
+        }
+      }
+
       // Default setting for reconnect delay
       if (!htmx.config.wsReconnectDelay) {
         htmx.config.wsReconnectDelay = 'full-jitter'
       }
+
+      // Default setting for the close codes that reconnect: the abnormal closures that
+      // reconnecting may fix, but not the normal closure nor the protocol and policy errors
+      if (!htmx.config.wsReconnectCodes) {
+        htmx.config.wsReconnectCodes = [1001, 1005, 1006, 1011, 1012, 1013, 1014]
+      }
+
+      // Default setting for how long a socket outlives its last owner cleaned up by a swap,
+      // waiting for an element of the new content to adopt it: the socket closes at once
+      // unless a page opts in to keeping it across swaps
+      if (htmx.config.wsReleaseDelay == null) {
+        htmx.config.wsReleaseDelay = 0
+      }
     },
 
     /**
@@ -44,7 +137,10 @@ This extension adds support for WebSockets to htmx.  See /www/extensions/ws.md f
           var internalData = api.getInternalData(parent)
 
           if (internalData.webSocket) {
-            internalData.webSocket.close()
+            releaseWebSocket(internalData.webSocket, parent, true)
+          }
+          if (internalData.wsSubscription) {
+            unsubscribeElement(parent)
           }
           return
 
@@ -57,6 +153,9 @@ This extension adds support for WebSockets to htmx.  See /www/extensions/ws.md f
           forEach(queryAttributeOnThisOrChildren(parent, 'ws-send'), function(child) {
             ensureWebSocketSend(child)
           })
+          forEach(queryAttributeOnThisOrChildren(parent, 'ws-subscribe'), function(child) {
+            subscribeElement(child)
+          })
       }
     }
   })
@@ -113,23 +212,237 @@ This extension adds support for WebSockets to htmx.  See /www/extensions/ws.md f
       }
     }
 
+    // Subprotocols offered to the server, the negotiated one is available as socket.protocol
+    var protocolsAttr = api.getAttributeValue(socketElt, 'ws-protocols')
+    var protocols = protocolsAttr ? protocolsAttr.split(',').map(function(protocol) {
+      return protocol.trim()
+    }) : []
+
+    // Elements connecting to the same url share the socket, e.g. when a boosted navigation
+    // renders the same layout again
+    var poolKey = wssSource + ' ' + protocols.join(',')
+    var pooledWrapper = socketPool[poolKey]
+    if (pooledWrapper && (getSocketElt(pooledWrapper) || pooledWrapper.releaseTimeout)) {
+      adoptWebSocket(pooledWrapper, socketElt)
+      return
+    }
+
     var socketWrapper = createWebsocketWrapper(socketElt, function() {
-      return htmx.createWebSocket(wssSource)
+      return htmx.createWebSocket(wssSource, protocols)
     })
+    socketWrapper.poolKey = poolKey
+    socketPool[poolKey] = socketWrapper
 
     socketWrapper.addEventListener('message', function(event) {
-      if (maybeCloseWebSocketSource(socketElt)) {
+      var socketElt = getSocketElt(socketWrapper)
+      if (!socketElt) {
         return
       }
 
-      var response = event.data
-      if (!api.triggerEvent(socketElt, 'htmx:wsBeforeMessage', {
-        message: response,
-        socketWrapper: socketWrapper.publicInterface
-      })) {
-        return
+      // any message shows that the connection is alive
+      receivedHeartbeat(socketWrapper)
+
+      var decoderName = api.getAttributeValue(socketElt, 'ws-decoder')
+      if (decoderName || typeof event.data !== 'string' || socketWrapper.decoding) {
+        queueDecoding(socketWrapper, function() {
+          return decodeMessage(socketElt, decoderName || 'text', event.data, function(message) {
+            // the owner may have changed while an asynchronous decoder was running
+            var owner = getSocketElt(socketWrapper)
+            if (owner) {
+              handleMessage(socketWrapper, owner, message)
+            }
+          })
+        })
+      } else {
+        handleMessage(socketWrapper, socketElt, event.data)
       }
+    })
+
+    // Put the WebSocket into the HTML Element's custom data.
+    api.getInternalData(socketElt).webSocket = socketWrapper
+  }
 
+  /**
+   * adoptWebSocket makes an element one more owner of a pooled socket.  The newest owner is
+   * the one the socket events are triggered on.  The socket is connected again if it was
+   * closed without any reconnection pending.
+   *
+   * @param {WebSocketWrapper} socketWrapper
+   * @param {HTMLElement} socketElt
+   */
+  function adoptWebSocket(socketWrapper, socketElt) {
+    clearTimeout(socketWrapper.releaseTimeout)
+    socketWrapper.releaseTimeout = null
+    if (socketWrapper.owners.indexOf(socketElt) < 0) {
+      socketWrapper.owners.push(socketElt)
+    }
+    socketWrapper.socketElt = socketElt
+    api.getInternalData(socketElt).webSocket = socketWrapper
+
+    var socket = socketWrapper.socket
+    if (socket.readyState === socket.OPEN) {
+      startHeartbeat(socketWrapper, socketElt)
+    }
+    api.triggerEvent(socketElt, 'htmx:wsAdopted', { socketWrapper: socketWrapper.publicInterface })
+
+    // a socket closed for good, e.g. by a normal closure, is opened again for the new owner
+    if (socket.readyState !== socket.OPEN && socket.readyState !== socket.CONNECTING && !socketWrapper.reconnectTimeout) {
+      socketWrapper.init()
+    }
+  }
+
+  /**
+   * releaseWebSocket removes an owner of a socket.  The socket is disposed of when it has no
+   * owner left, after `htmx.config.wsReleaseDelay` if the owner was cleaned up by a swap, so
+   * that an element with the same url in the new content can adopt it.
+   *
+   * @param {WebSocketWrapper} socketWrapper
+   * @param {HTMLElement} socketElt
+   * @param {boolean} [delayed]
+   */
+  function releaseWebSocket(socketWrapper, socketElt, delayed) {
+    var index = socketWrapper.owners.indexOf(socketElt)
+    if (index < 0) {
+      return
+    }
+    socketWrapper.owners.splice(index, 1)
+    if (socketWrapper.owners.length > 0) {
+      if (socketWrapper.socketElt === socketElt) {
+        socketWrapper.socketElt = socketWrapper.owners[socketWrapper.owners.length - 1]
+      }
+      return
+    }
+
+    if (delayed && htmx.config.wsReleaseDelay > 0) {
+      socketWrapper.releaseTimeout = setTimeout(function() {
+        socketWrapper.dispose()
+      }, htmx.config.wsReleaseDelay)
+    } else {
+      socketWrapper.dispose()
+    }
+  }
+
+  /**
+   * getSocketElt releases the owners of a socket that are no longer in the document, and
+   * returns the owner the socket events are triggered on, or null if there is none left.
+   *
+   * @param {WebSocketWrapper} socketWrapper
+   * @returns {HTMLElement | null}
+   */
+  function getSocketElt(socketWrapper) {
+    forEach(socketWrapper.owners.slice(), function(owner) {
+      if (!api.bodyContains(owner)) {
+        releaseWebSocket(socketWrapper, owner)
+      }
+    })
+    return socketWrapper.owners.length > 0 ? socketWrapper.socketElt : null
+  }
+
+  /**
+   * decodeMessage decodes the data of a frame with a registered decoder, and passes the
+   * result to the callback.  It returns a Promise settled after the callback when the
+   * decoder is asynchronous.
+   *
+   * @param {HTMLElement} socketElt
+   * @param {string} decoderName
+   * @param {string | Blob | ArrayBuffer} data
+   * @param {(message: *) => void} callback
+   * @returns {Promise<void> | undefined}
+   */
+  function decodeMessage(socketElt, decoderName, data, callback) {
+    var onError = function(error) {
+      api.triggerErrorEvent(socketElt, 'htmx:wsDecodeError', { error, decoder: decoderName, data })
+    }
+    var decoder = decoders[decoderName]
+    if (!decoder) {
+      onError(new Error('unknown ws-decoder "' + decoderName + '"'))
+      return
+    }
+
+    var message
+    try {
+      message = decoder(data, socketElt)
+    } catch (error) {
+      onError(error)
+      return
+    }
+    if (message && typeof message.then === 'function') {
+      return message.then(callback, onError)
+    }
+    callback(message)
+  }
+
+  /**
+   * queueDecoding decodes the frames of a socket one after the other, so that the messages
+   * are handled in the order of the frames even when asynchronous decoders take different
+   * times.  A frame is decoded right away when no other frame is being decoded.
+   *
+   * @param {WebSocketWrapper} socketWrapper
+   * @param {() => Promise<void> | void} decode decodes and handles the frame, and returns a Promise if it is asynchronous
+   */
+  function queueDecoding(socketWrapper, decode) {
+    var decoding = socketWrapper.decoding
+      ? socketWrapper.decoding.then(decode, decode)
+      : decode()
+    if (!decoding) {
+      return
+    }
+    socketWrapper.decoding = decoding
+    var done = function() {
+      if (socketWrapper.decoding === decoding) {
+        socketWrapper.decoding = null
+      }
+    }
+    decoding.then(done, done)
+  }
+
+  /**
+   * decodeText is the decoder of the text frames, and of the binary frames of sockets without
+   * a `ws-decoder`, which are decoded as UTF-8.
+   *
+   * @param {string | Blob | ArrayBuffer} data
+   * @returns {string | Promise<string>}
+   */
+  function decodeText(data) {
+    if (typeof data === 'string') {
+      return data
+    }
+    if (data instanceof Blob) {
+      return data.text()
+    }
+    return new TextDecoder().decode(data)
+  }
+
+  /**
+   * handleMessage swaps a message received from the server.  Messages decoded into objects
+   * are handled like the messages of `ws-protocol="json"`.
+   *
+   * @param {WebSocketWrapper} socketWrapper
+   * @param {HTMLElement} socketElt
+   * @param {*} message
+   */
+  function handleMessage(socketWrapper, socketElt, message) {
+    // pongs are not processed any further
+    if (api.hasAttribute(socketElt, 'ws-heartbeat') && message === (api.getAttributeValue(socketElt, 'ws-heartbeat-pong') || 'pong')) {
+      return
+    }
+
+    if (socketWrapper.authenticating && isAuthAcknowledgement(socketElt, message)) {
+      socketWrapper.publicInterface.authenticated()
+      return
+    }
+
+    var response = message
+    if (!api.triggerEvent(socketElt, 'htmx:wsBeforeMessage', {
+      message: response,
+      socketWrapper: socketWrapper.publicInterface
+    })) {
+      return
+    }
+
+    if (typeof response !== 'string' || api.getAttributeValue(socketElt, 'ws-protocol') === 'json') {
+      handleJSONMessage(socketElt, response)
+    } else {
       api.withExtensions(socketElt, function(extension) {
         response = extension.transformResponse(response, null, socketElt)
       })
@@ -140,29 +453,138 @@ This extension adds support for WebSockets to htmx.  See /www/extensions/ws.md f
       if (fragment.children.length) {
         var children = Array.from(fragment.children)
         for (var i = 0; i < children.length; i++) {
-          api.oobSwap(api.getAttributeValue(children[i], 'hx-swap-oob') || 'true', children[i], settleInfo)
+          var replyTo = api.getAttributeValue(children[i], 'ws-reply-to')
+          var channel = api.getAttributeValue(children[i], 'ws-channel')
+          if (replyTo) {
+            handleReply(socketElt, replyTo, children[i].innerHTML)
+          } else if (channel) {
+            handleChannelMessage(socketElt, channel, children[i].innerHTML)
+          } else {
+            api.oobSwap(api.getAttributeValue(children[i], 'hx-swap-oob') || 'true', children[i], settleInfo)
+          }
         }
       }
 
       api.settleImmediately(settleInfo.tasks)
-      api.triggerEvent(socketElt, 'htmx:wsAfterMessage', { message: response, socketWrapper: socketWrapper.publicInterface })
-    })
+    }
+    api.triggerEvent(socketElt, 'htmx:wsAfterMessage', { message: response, socketWrapper: socketWrapper.publicInterface })
+  }
 
-    // Put the WebSocket into the HTML Element's custom data.
-    api.getInternalData(socketElt).webSocket = socketWrapper
+  /**
+   * @typedef {Object} WebSocketEnvelope
+   * @property {'swap' | 'trigger' | 'redirect'} type
+   * @property {string} [target] the selector of the swapped element, or of the element the event is triggered on
+   * @property {string} [swap] the swap style, `hx-swap` of the ws-connect element by default
+   * @property {string} [html] the swapped content
+   * @property {string} [event] the name of the triggered event
+   * @property {*} [detail] the detail of the triggered event
+   * @property {string} [url] the url to redirect to
+   * @property {string} [replyTo] the id of the request this message replies to
+   * @property {string} [channel] the channel of the `ws-subscribe` elements the html is swapped into
+   */
+
+  /**
+   * handleJSONMessage handles the messages of `ws-protocol="json"` sockets, which are made
+   * of one envelope, or an array of envelopes:
+   * - {"type": "swap", "target": "#x", "swap": "beforeend", "html": "..."} swaps the html into
+   *   the target, or out of band like other messages when there is no target
+   * - {"type": "trigger", "event": "refresh", "target": "#x", "detail": {}} triggers the event
+   *   on the target, or on the ws-connect element
+   * - {"type": "redirect", "url": "/path"} navigates to the url
+   * Swap envelopes with a `replyTo` request id are replies to a `ws-reply` element, and those
+   * with a `channel` go to the elements subscribed to that channel.  Envelopes that are not
+   * objects raise htmx:wsParseError and are skipped.
+   *
+   * @param {HTMLElement} socketElt
+   * @param {string | Object} message the message, or the envelopes decoded by a `ws-decoder`
+   */
+  function handleJSONMessage(socketElt, message) {
+    var envelopes = message
+    try {
+      if (typeof message === 'string') {
+        envelopes = JSON.parse(message)
+      }
+    } catch (error) {
+      api.triggerErrorEvent(socketElt, 'htmx:wsParseError', { error, message })
+      return
+    }
+
+    forEach(Array.isArray(envelopes) ? envelopes : [envelopes], function(/** @type {WebSocketEnvelope} */ envelope) {
+      if (envelope === null || typeof envelope !== 'object') {
+        api.triggerErrorEvent(socketElt, 'htmx:wsParseError', { error: new TypeError('the envelope is not an object'), message })
+        return
+      }
+      if (envelope.type === 'swap' && envelope.replyTo) {
+        handleReply(socketElt, envelope.replyTo, envelope.html || '', envelope.swap)
+        return
+      }
+      if (envelope.type === 'swap' && envelope.channel) {
+        handleChannelMessage(socketElt, envelope.channel, envelope.html || '', envelope.swap)
+        return
+      }
+
+      var target = socketElt
+      if (envelope.target) {
+        target = api.querySelectorExt(socketElt, envelope.target)
+        if (!target) {
+          api.triggerErrorEvent(socketElt, 'htmx:targetError', { target: envelope.target })
+          return
+        }
+      }
+
+      switch (envelope.type) {
+        case 'swap':
+          var html = envelope.html || ''
+          api.withExtensions(socketElt, function(extension) {
+            html = extension.transformResponse(html, null, socketElt)
+          })
+          if (envelope.target) {
+            api.swap(target, html, api.getSwapSpecification(socketElt, envelope.swap), { contextElement: socketElt })
+          } else {
+            var settleInfo = api.makeSettleInfo(socketElt)
+            forEach(Array.from(api.makeFragment(html).children), function(child) {
+              api.oobSwap(api.getAttributeValue(child, 'hx-swap-oob') || 'true', child, settleInfo)
+            })
+            api.settleImmediately(settleInfo.tasks)
+          }
+          return
+        case 'trigger':
+          api.triggerEvent(target, envelope.event, envelope.detail)
+          return
+        case 'redirect':
+          location.href = envelope.url
+          return
+        default:
+          api.triggerErrorEvent(socketElt, 'htmx:wsUnknownMessage', { envelope })
+      }
+    })
   }
 
   /**
    * @typedef {Object} WebSocketWrapper
    * @property {WebSocket} socket
-   * @property {Array<{message: string, sendElt: Element}>} messageQueue
+   * @property {HTMLElement} socketElt the owner the socket events are triggered on, and whose attributes configure it
+   * @property {HTMLElement[]} owners the ws-connect elements sharing the socket
+   * @property {'connecting' | 'open' | 'closing' | 'closed' | 'disposed'} state 'closing' after close(), and 'disposed' for good once the last owner is gone
+   * @property {string} [poolKey] the key of the socket in the pool
+   * @property {number} [releaseTimeout] the timer disposing of the socket once its last owner is cleaned up
+   * @property {QueuedMessage[]} messageQueue
+   * @property {Object<string, PendingReply>} pendingReplies the `ws-reply` requests waiting for their reply, by id
+   * @property {Object<string, HTMLElement[]>} subscriptions the `ws-subscribe` elements, by channel
    * @property {number} retryCount
+   * @property {boolean} [authenticating] true from the authentication message until the server acknowledges it
    * @property {(message: string, sendElt: Element) => void} sendImmediately sendImmediately sends message regardless of websocket connection state
    * @property {(message: string, sendElt: Element) => void} send
    * @property {(event: string, handler: Function) => void} addEventListener
    * @property {() => void} handleQueuedMessages
    * @property {() => void} init
-   * @property {() => void} close
+   * @property {() => void} close closes the socket without reconnecting it
+   * @property {() => void} dispose closes the socket, stops every timer and listener, and rejects the messages sent afterwards
+   * @property {number} [reconnectTimeout] the timer of the next reconnection attempt
+   * @property {Promise<void> | null} [decoding] settled once the frames being decoded are handled
+   * @property {Function} [onlineListener] the `ws-reconnect-online` listener reconnecting when the browser gets back online
+   * @property {number} [heartbeatInterval] the timer sending the `ws-heartbeat` pings
+   * @property {number} [pongTimeout] the timer waiting for a message after a ping
    */
   /**
    *
@@ -173,7 +595,12 @@ This extension adds support for WebSockets to htmx.  See /www/extensions/ws.md f
   function createWebsocketWrapper(socketElt, socketFunc) {
     var wrapper = {
       socket: null,
+      socketElt,
+      owners: [socketElt],
+      state: 'connecting',
       messageQueue: [],
+      pendingReplies: {},
+      subscriptions: {},
       retryCount: 0,
 
       /** @type {Object<string, Function[]>} */
@@ -192,8 +619,9 @@ This extension adds support for WebSockets to htmx.  See /www/extensions/ws.md f
       },
 
       sendImmediately: function(message, sendElt) {
-        if (!this.socket) {
-          api.triggerErrorEvent()
+        if (!this.socket || this.state === 'disposed') {
+          rejectMessage(this, message, sendElt)
+          return
         }
         if (!sendElt || api.triggerEvent(sendElt, 'htmx:wsBeforeSend', {
           message,
@@ -208,14 +636,20 @@ This extension adds support for WebSockets to htmx.  See /www/extensions/ws.md f
       },
 
       send: function(message, sendElt) {
-        if (this.socket.readyState !== this.socket.OPEN) {
-          this.messageQueue.push({ message, sendElt })
+        if (this.state === 'disposed') {
+          rejectMessage(this, message, sendElt)
+        } else if (this.socket.readyState !== this.socket.OPEN || this.authenticating) {
+          enqueueMessage(this, this.socketElt, message, sendElt)
         } else {
           this.sendImmediately(message, sendElt)
         }
       },
 
       handleQueuedMessages: function() {
+        if (this.authenticating) {
+          return
+        }
+        removeExpiredMessages(this, this.socketElt)
         while (this.messageQueue.length > 0) {
           var queuedItem = this.messageQueue[0]
           if (this.socket.readyState === this.socket.OPEN) {
@@ -225,50 +659,93 @@ This extension adds support for WebSockets to htmx.  See /www/extensions/ws.md f
             break
           }
         }
+        saveQueue(this, this.socketElt)
       },
 
       init: function() {
-        if (this.socket && this.socket.readyState === this.socket.OPEN) {
-          // Close discarded socket
-          this.socket.close()
+        if (this.state === 'disposed') {
+          return
+        }
+        cancelReconnect(this)
+        if (this.socket) {
+          // Close discarded socket, whose events must not reach the wrapper anymore
+          detachSocket(this, this.socket)
+          if (this.socket.readyState === this.socket.OPEN || this.socket.readyState === this.socket.CONNECTING) {
+            this.socket.close()
+          }
         }
 
         // Create a new WebSocket and event handlers
         /** @type {WebSocket} */
         var socket = socketFunc()
+        this.authenticating = false
+        this.state = 'connecting'
 
         // The event.type detail is added for interface conformance with the
         // other two lifecycle events (open and close) so a single handler method
         // can handle them polymorphically, if required.
-        api.triggerEvent(socketElt, 'htmx:wsConnecting', { event: { type: 'connecting' } })
+        api.triggerEvent(wrapper.socketElt, 'htmx:wsConnecting', { event: { type: 'connecting' } })
 
         this.socket = socket
 
         socket.onopen = function(e) {
+          wrapper.state = 'open'
           wrapper.retryCount = 0
-          api.triggerEvent(socketElt, 'htmx:wsOpen', { event: e, socketWrapper: wrapper.publicInterface })
-          wrapper.handleQueuedMessages()
+          api.triggerEvent(wrapper.socketElt, 'htmx:wsOpen', { event: e, protocol: socket.protocol, socketWrapper: wrapper.publicInterface })
+
+          // Let the application authenticate before sending the queued messages
+          var authConfig = { message: undefined, protocol: socket.protocol, socketWrapper: wrapper.publicInterface }
+          api.triggerEvent(wrapper.socketElt, 'htmx:wsAuthenticate', authConfig)
+          if (authConfig.message !== undefined) {
+            wrapper.authenticating = true
+            wrapper.sendImmediately(authConfig.message)
+          } else {
+            connectionReady(wrapper, wrapper.socketElt)
+          }
+          startHeartbeat(wrapper, wrapper.socketElt)
         }
 
         socket.onclose = function(e) {
+          // a replaced socket may close after its replacement has opened
+          if (wrapper.socket === socket) {
+            stopHeartbeat(wrapper)
+          }
+
+          // Only the closure that was asked for by close(), or a disposal, is not reconnected
+          var intentional = wrapper.state === 'closing' || wrapper.state === 'disposed'
+          if (wrapper.state !== 'disposed') {
+            wrapper.state = 'closed'
+          }
+
           // If socket should not be connected, stop further attempts to establish connection
-          // If Abnormal Closure/Service Restart/Try Again Later, then set a timer to reconnect after a pause.
-          if (!maybeCloseWebSocketSource(socketElt) && [1006, 1011, 1012, 1013].indexOf(e.code) >= 0) {
-            var delay = getWebSocketReconnectDelay(wrapper.retryCount)
-            setTimeout(function() {
-              wrapper.retryCount += 1
-              wrapper.init()
-            }, delay)
+          // If the close code is one of htmx.config.wsReconnectCodes, then set a timer to reconnect after a pause.
+          if (!intentional && getSocketElt(wrapper) && shouldReconnect(e)) {
+            var maxRetries = parseInt(api.getAttributeValue(wrapper.socketElt, 'ws-max-retries'), 10)
+            if (wrapper.retryCount >= maxRetries) {
+              api.triggerEvent(wrapper.socketElt, 'htmx:wsGiveUp', { event: e, retryCount: wrapper.retryCount, socketWrapper: wrapper.publicInterface })
+            } else {
+              var reconnect = function() {
+                wrapper.retryCount += 1
+                wrapper.init()
+              }
+              wrapper.reconnectTimeout = setTimeout(reconnect, getWebSocketReconnectDelay(wrapper.retryCount))
+
+              // don't wait for the end of the delay when the browser gets back online
+              if (api.hasAttribute(wrapper.socketElt, 'ws-reconnect-online')) {
+                wrapper.onlineListener = reconnect
+                window.addEventListener('online', reconnect)
+              }
+            }
           }
 
           // Notify client code that connection has been closed. Client code can inspect `event` field
           // to determine whether closure has been valid or abnormal
-          api.triggerEvent(socketElt, 'htmx:wsClose', { event: e, socketWrapper: wrapper.publicInterface })
+          api.triggerEvent(wrapper.socketElt, 'htmx:wsClose', { event: e, socketWrapper: wrapper.publicInterface })
         }
 
         socket.onerror = function(e) {
-          api.triggerErrorEvent(socketElt, 'htmx:wsError', { error: e, socketWrapper: wrapper })
-          maybeCloseWebSocketSource(socketElt)
+          api.triggerErrorEvent(wrapper.socketElt, 'htmx:wsError', { error: e, socketWrapper: wrapper })
+          getSocketElt(wrapper)
         }
 
         var events = this.events
@@ -280,22 +757,355 @@ This extension adds support for WebSockets to htmx.  See /www/extensions/ws.md f
       },
 
       close: function() {
-        this.socket.close()
+        if (this.state === 'disposed') {
+          return
+        }
+        this.state = 'closing'
+        cancelReconnect(this)
+        stopHeartbeat(this)
+        if (this.socket) {
+          this.socket.close()
+        }
+      },
+
+      dispose: function() {
+        if (this.state === 'disposed') {
+          return
+        }
+        this.close()
+        this.state = 'disposed'
+        clearTimeout(this.releaseTimeout)
+        this.releaseTimeout = null
+        var wrapper = this
+        forEach(Object.keys(this.pendingReplies), function(requestId) {
+          removePendingReply(wrapper, requestId)
+        })
+        // the closing socket still triggers htmx:wsClose, but nothing else
+        if (this.socket) {
+          detachSocket(this, this.socket, true)
+        }
+        if (socketPool[this.poolKey] === this) {
+          delete socketPool[this.poolKey]
+        }
+        api.triggerEvent(this.socketElt, 'htmx:wsDispose', { socketWrapper: this.publicInterface })
       }
     }
 
-    wrapper.init()
-
     wrapper.publicInterface = {
       send: wrapper.send.bind(wrapper),
       sendImmediately: wrapper.sendImmediately.bind(wrapper),
       reconnect: wrapper.init.bind(wrapper),
-      queue: wrapper.messageQueue
+      queue: wrapper.messageQueue,
+
+      get protocol() {
+        return wrapper.socket ? wrapper.socket.protocol : undefined
+      },
+
+      get state() {
+        return wrapper.state
+      },
+
+      authenticated: function() {
+        if (wrapper.authenticating) {
+          wrapper.authenticating = false
+          api.triggerEvent(wrapper.socketElt, 'htmx:wsAuthenticated', { protocol: wrapper.socket.protocol, socketWrapper: wrapper.publicInterface })
+          connectionReady(wrapper, wrapper.socketElt)
+        }
+      }
     }
 
+    loadQueue(wrapper, wrapper.socketElt)
+    wrapper.init()
+
     return wrapper
   }
 
+  /**
+   * cancelReconnect cancels the next reconnection attempt, if any.
+   *
+   * @param {WebSocketWrapper} socketWrapper
+   */
+  function cancelReconnect(socketWrapper) {
+    clearTimeout(socketWrapper.reconnectTimeout)
+    socketWrapper.reconnectTimeout = null
+    if (socketWrapper.onlineListener) {
+      window.removeEventListener('online', socketWrapper.onlineListener)
+      socketWrapper.onlineListener = null
+    }
+  }
+
+  /**
+   * detachSocket removes the handlers of the wrapper from a socket, except for its onclose
+   * handler if keepOnClose is set.
+   *
+   * @param {WebSocketWrapper} socketWrapper
+   * @param {WebSocket} socket
+   * @param {boolean} [keepOnClose]
+   */
+  function detachSocket(socketWrapper, socket, keepOnClose) {
+    socket.onopen = null
+    socket.onerror = null
+    if (!keepOnClose) {
+      socket.onclose = null
+    }
+    var events = socketWrapper.events
+    Object.keys(events).forEach(function(k) {
+      events[k].forEach(function(e) {
+        socket.removeEventListener(k, e)
+      })
+    })
+  }
+
+  /**
+   * rejectMessage triggers htmx:wsSendError for a message that can't be sent, because the
+   * wrapper has been disposed of, or has no socket.
+   *
+   * @param {WebSocketWrapper} socketWrapper
+   * @param {*} message
+   * @param {Element} [sendElt]
+   */
+  function rejectMessage(socketWrapper, message, sendElt) {
+    var reason = socketWrapper.state === 'disposed' ? 'the WebSocket has been disposed of' : 'there is no WebSocket'
+    api.triggerErrorEvent(sendElt || socketWrapper.socketElt, 'htmx:wsSendError', {
+      error: new Error('cannot send the message: ' + reason),
+      message,
+      socketWrapper: socketWrapper.publicInterface
+    })
+  }
+
+  /**
+   * connectionReady is called once a connection is open and authenticated: it subscribes to
+   * the channels of the `ws-subscribe` elements again, and sends the queued messages.
+   *
+   * @param {WebSocketWrapper} socketWrapper
+   * @param {HTMLElement} socketElt
+   */
+  function connectionReady(socketWrapper, socketElt) {
+    forEach(Object.keys(socketWrapper.subscriptions), function(channel) {
+      sendSubscription(socketWrapper, socketElt, 'subscribe', channel)
+    })
+    socketWrapper.handleQueuedMessages()
+  }
+
+  /**
+   * startHeartbeat sends a ping message every `ws-heartbeat` interval, "ping" by default or
+   * the `ws-heartbeat-ping` attribute.  If no message is received within
+   * `ws-heartbeat-timeout` (the heartbeat interval by default) after a ping, the connection
+   * is considered dead: htmx:wsHeartbeatMissed is triggered, and the socket is closed and
+   * reconnected like after an abnormal closure.
+   *
+   * @param {WebSocketWrapper} socketWrapper
+   * @param {HTMLElement} socketElt
+   */
+  function startHeartbeat(socketWrapper, socketElt) {
+    stopHeartbeat(socketWrapper)
+    var interval = htmx.parseInterval(api.getAttributeValue(socketElt, 'ws-heartbeat'))
+    if (!(interval > 0)) {
+      return
+    }
+    var timeout = htmx.parseInterval(api.getAttributeValue(socketElt, 'ws-heartbeat-timeout')) || interval
+
+    socketWrapper.heartbeatInterval = setInterval(function() {
+      if (!getSocketElt(socketWrapper)) {
+        stopHeartbeat(socketWrapper)
+        return
+      }
+      if (socketWrapper.pongTimeout) {
+        return
+      }
+
+      socketWrapper.sendImmediately(api.getAttributeValue(socketElt, 'ws-heartbeat-ping') || 'ping')
+      socketWrapper.pongTimeout = setTimeout(function() {
+        socketWrapper.pongTimeout = null
+        api.triggerEvent(socketElt, 'htmx:wsHeartbeatMissed', { socketWrapper: socketWrapper.publicInterface })
+        stopHeartbeat(socketWrapper)
+
+        // a half-open connection may never complete the closing handshake, so don't wait for it
+        var socket = socketWrapper.socket
+        var onclose = socket.onclose
+        socket.onclose = null
+        socket.close()
+        onclose({ type: 'close', code: 1006, reason: 'heartbeat missed' })
+      }, timeout)
+    }, interval)
+  }
+
+  /**
+   * @param {WebSocketWrapper} socketWrapper
+   */
+  function stopHeartbeat(socketWrapper) {
+    clearInterval(socketWrapper.heartbeatInterval)
+    receivedHeartbeat(socketWrapper)
+  }
+
+  /**
+   * @param {WebSocketWrapper} socketWrapper
+   */
+  function receivedHeartbeat(socketWrapper) {
+    clearTimeout(socketWrapper.pongTimeout)
+    socketWrapper.pongTimeout = null
+  }
+
+  /**
+   * @typedef {Object} QueuedMessage
+   * @property {string} message
+   * @property {Element} [sendElt]
+   * @property {number} [expires] the time after which the message is dropped instead of sent
+   */
+
+  /**
+   * enqueueMessage queues a message sent while the socket is not open.  The queue holds at
+   * most `ws-queue-max` messages, and `ws-queue-overflow` decides what happens to the
+   * message that doesn't fit:
+   * - "drop-oldest" (the default) drops the oldest queued message to make room
+   * - "drop-newest" drops the new message
+   * - "reject" drops the new message and triggers htmx:wsQueueOverflow
+   * With `ws-queue-ttl`, queued messages are dropped once they're older than the interval.
+   *
+   * @param {WebSocketWrapper} socketWrapper
+   * @param {HTMLElement} socketElt
+   * @param {string} message
+   * @param {Element} [sendElt]
+   */
+  function enqueueMessage(socketWrapper, socketElt, message, sendElt) {
+    removeExpiredMessages(socketWrapper, socketElt)
+    var queue = socketWrapper.messageQueue
+
+    var maxSize = parseInt(api.getAttributeValue(socketElt, 'ws-queue-max'), 10)
+    if (queue.length >= maxSize) {
+      var overflow = api.getAttributeValue(socketElt, 'ws-queue-overflow') || 'drop-oldest'
+      if (overflow === 'reject') {
+        api.triggerErrorEvent(sendElt || socketElt, 'htmx:wsQueueOverflow', { message, socketWrapper: socketWrapper.publicInterface })
+        return
+      }
+      if (overflow === 'drop-newest' || queue.length === 0) {
+        dropMessage(socketWrapper, socketElt, message, 'overflow')
+        return
+      }
+      dropMessage(socketWrapper, socketElt, queue.shift().message, 'overflow')
+    }
+
+    var ttl = htmx.parseInterval(api.getAttributeValue(socketElt, 'ws-queue-ttl'))
+    queue.push({ message, sendElt, expires: ttl > 0 ? Date.now() + ttl : undefined })
+    saveQueue(socketWrapper, socketElt)
+  }
+
+  /**
+   * @param {WebSocketWrapper} socketWrapper
+   * @param {HTMLElement} socketElt
+   */
+  function removeExpiredMessages(socketWrapper, socketElt) {
+    var queue = socketWrapper.messageQueue
+    var now = Date.now()
+    for (var i = queue.length - 1; i >= 0; i--) {
+      if (queue[i].expires <= now) {
+        dropMessage(socketWrapper, socketElt, queue.splice(i, 1)[0].message, 'expired')
+      }
+    }
+  }
+
+  /**
+   * @param {WebSocketWrapper} socketWrapper
+   * @param {HTMLElement} socketElt
+   * @param {string} message
+   * @param {'overflow' | 'expired'} reason
+   */
+  function dropMessage(socketWrapper, socketElt, message, reason) {
+    api.triggerEvent(socketElt, 'htmx:wsMessageDropped', { message, reason, socketWrapper: socketWrapper.publicInterface })
+  }
+
+  /**
+   * getQueueStorageKey returns the sessionStorage key of the queue of an element using
+   * `ws-queue-storage="session"`, or null if its queue is only kept in memory.  Browsers
+   * blocking the storage throw when it is accessed: the queue is then kept in memory.
+   *
+   * @param {WebSocketWrapper} socketWrapper
+   * @param {HTMLElement} socketElt
+   * @returns {string | null}
+   */
+  function getQueueStorageKey(socketWrapper, socketElt) {
+    if (api.getAttributeValue(socketElt, 'ws-queue-storage') !== 'session') {
+      return null
+    }
+    try {
+      if (!window.sessionStorage) {
+        return null
+      }
+    } catch (error) {
+      api.triggerErrorEvent(socketElt, 'htmx:wsQueueStorageError', { error, socketWrapper: socketWrapper.publicInterface })
+      return null
+    }
+    return 'htmx-ws-queue:' + (api.getAttributeValue(socketElt, 'ws-connect') || getLegacyWebsocketURL(socketElt))
+  }
+
+  /**
+   * saveQueue stores the text messages of the queue in the sessionStorage, so that they are
+   * still sent after a page refresh.  The sending elements are found again by id.
+   *
+   * @param {WebSocketWrapper} socketWrapper
+   * @param {HTMLElement} socketElt
+   */
+  function saveQueue(socketWrapper, socketElt) {
+    var key = getQueueStorageKey(socketWrapper, socketElt)
+    if (!key) {
+      return
+    }
+    var storedQueue = socketWrapper.messageQueue.filter(function(queuedItem) {
+      return typeof queuedItem.message === 'string'
+    }).map(function(queuedItem) {
+      return { message: queuedItem.message, expires: queuedItem.expires, sendEltId: queuedItem.sendElt ? queuedItem.sendElt.id : undefined }
+    })
+    try {
+      if (storedQueue.length > 0) {
+        sessionStorage.setItem(key, JSON.stringify(storedQueue))
+      } else {
+        sessionStorage.removeItem(key)
+      }
+    } catch (error) {
+      api.triggerErrorEvent(socketElt, 'htmx:wsQueueStorageError', { error, socketWrapper: socketWrapper.publicInterface })
+    }
+  }
+
+  /**
+   * loadQueue restores the queue stored by saveQueue.  A corrupted queue raises
+   * htmx:wsQueueStorageError and is dropped.
+   *
+   * @param {WebSocketWrapper} socketWrapper
+   * @param {HTMLElement} socketElt
+   */
+  function loadQueue(socketWrapper, socketElt) {
+    var key = getQueueStorageKey(socketWrapper, socketElt)
+    if (!key) {
+      return
+    }
+    var storedQueue
+    try {
+      storedQueue = JSON.parse(sessionStorage.getItem(key) || '[]')
+      if (!Array.isArray(storedQueue) || !storedQueue.every(isStoredItem)) {
+        throw new TypeError('the stored queue is corrupted')
+      }
+    } catch (error) {
+      api.triggerErrorEvent(socketElt, 'htmx:wsQueueStorageError', { error, socketWrapper: socketWrapper.publicInterface })
+      sessionStorage.removeItem(key)
+      return
+    }
+    forEach(storedQueue, function(storedItem) {
+      socketWrapper.messageQueue.push({
+        message: storedItem.message,
+        sendElt: storedItem.sendEltId ? document.getElementById(storedItem.sendEltId) : undefined,
+        expires: storedItem.expires
+      })
+    })
+  }
+
+  /**
+   * @param {*} storedItem
+   * @returns {boolean}
+   */
+  function isStoredItem(storedItem) {
+    return storedItem !== null && typeof storedItem === 'object' && typeof storedItem.message === 'string'
+  }
+
   /**
    * ensureWebSocketSend attaches trigger handles to elements with
    * "ws-send" attribute
@@ -338,6 +1148,12 @@ This extension adds support for WebSockets to htmx.  See /www/extensions/ws.md f
         /** @type {WebSocketWrapper} */
         var socketWrapper = api.getInternalData(socketElt).webSocket
         var headers = api.getHeaders(sendElt, api.getTarget(sendElt))
+        var replyTimeout = getReplyTimeout(sendElt)
+        var requestId = null
+        if (replyTimeout !== null) {
+          requestId = String(++lastRequestId)
+          headers['HX-Request-ID'] = requestId
+        }
         var results = api.getInputValues(sendElt, 'post')
         var errors = results.errors
         var rawParameters = Object.assign({}, results.values)
@@ -365,14 +1181,33 @@ This extension adds support for WebSockets to htmx.  See /www/extensions/ws.md f
           return
         }
 
-        var body = sendConfig.messageBody
-        if (body === undefined) {
-          var toSend = Object.assign({}, sendConfig.parameters)
-          if (sendConfig.headers) { toSend.HEADERS = headers }
-          body = JSON.stringify(toSend)
+        var send = function(body) {
+          if (requestId) {
+            waitForReply(socketWrapper, requestId, elt, replyTimeout)
+          }
+          socketWrapper.send(body, elt)
         }
 
-        socketWrapper.send(body, elt)
+        var encoderName = api.getClosestAttributeValue(elt, 'ws-encoder')
+        var formatName = api.getClosestAttributeValue(elt, 'ws-send-format') || 'raw'
+        var format = sendFormats[formatName]
+        if (sendConfig.messageBody !== undefined) {
+          send(sendConfig.messageBody)
+        } else if (!format) {
+          api.triggerErrorEvent(elt, 'htmx:wsEncodeError', { error: new Error('unknown ws-send-format "' + formatName + '"'), format: formatName })
+        } else {
+          var messageHeaders = sendConfig.headers
+          if (api.getClosestAttributeValue(elt, 'ws-send-headers') === 'false') {
+            // the server still needs the request id to reply
+            messageHeaders = requestId ? { 'HX-Request-ID': requestId } : null
+          }
+          var message = format(sendConfig.parameters, messageHeaders, elt)
+          if (encoderName) {
+            encodeMessage(elt, encoderName, message, send)
+          } else {
+            send(typeof message === 'string' ? message : JSON.stringify(message))
+          }
+        }
 
         if (evt && api.shouldCancel(evt, elt)) {
           evt.preventDefault()
@@ -381,6 +1216,397 @@ This extension adds support for WebSockets to htmx.  See /www/extensions/ws.md f
     })
   }
 
+  /**
+   * @param {Object} message
+   * @param {Object | null} headers
+   * @returns {Object}
+   */
+  function withHeaders(message, headers) {
+    if (headers) {
+      message.HEADERS = headers
+    }
+    return message
+  }
+
+  /**
+   * appendFormValue appends a parameter to urlencoded parameters: each value of an array under
+   * the same name, and the keys of an object named with brackets, so that nestParameters
+   * reads them back.
+   *
+   * @param {URLSearchParams} searchParams
+   * @param {string} name
+   * @param {*} value
+   */
+  function appendFormValue(searchParams, name, value) {
+    if (Array.isArray(value)) {
+      for (var i = 0; i < value.length; i++) {
+        var isObject = value[i] !== null && typeof value[i] === 'object'
+        appendFormValue(searchParams, isObject ? name + '[' + i + ']' : name, value[i])
+      }
+    } else if (value !== null && typeof value === 'object' && !(value instanceof Blob)) {
+      forEach(Object.keys(value), function(key) {
+        appendFormValue(searchParams, name + '[' + key + ']', value[key])
+      })
+    } else {
+      searchParams.append(name, value)
+    }
+  }
+
+  /**
+   * nestParameters turns the parameters named with brackets into nested objects and arrays:
+   * user[name] into {user: {name}}, and items[] or items[0] into {items: [...]}.  Parameters
+   * naming a __proto__, constructor or prototype key are left out.  When parameters conflict,
+   * like a and a[b], the first one is kept and the others are left out.
+   *
+   * @param {Object} parameters
+   * @returns {Object}
+   */
+  function nestParameters(parameters) {
+    var nested = {}
+    forEach(Object.keys(parameters), function(name) {
+      var path = name.match(/^[^[\]]+|\[[^[\]]*\]/g)
+      if (!path || path.join('') !== name) {
+        nested[name] = parameters[name]
+        return
+      }
+      var keys = path.map(function(key) {
+        return key.charAt(0) === '[' ? key.slice(1, -1) : key
+      })
+      if (keys.some(function(key) { return unsafeKeys.indexOf(key) >= 0 })) {
+        return
+      }
+
+      var container = nested
+      for (var i = 0; i < keys.length - 1; i++) {
+        if (!Object.prototype.hasOwnProperty.call(container, keys[i])) {
+          container[keys[i]] = /^\d*$/.test(keys[i + 1]) ? [] : {}
+        } else if (container[keys[i]] === null || typeof container[keys[i]] !== 'object') {
+          return
+        }
+        container = container[keys[i]]
+      }
+      var lastKey = keys[keys.length - 1]
+      if (lastKey === '' && Array.isArray(container)) {
+        container.push.apply(container, [].concat(parameters[name]))
+      } else if (!Object.prototype.hasOwnProperty.call(container, lastKey)) {
+        container[lastKey] = parameters[name]
+      }
+    })
+    return nested
+  }
+
+  /**
+   * typeParameters converts the text values of the number and range inputs of a ws-send
+   * element to numbers, and of its checkboxes without a value to true.  Other values, such as
+   * the typed values of hx-vals, are kept as they are.
+   *
+   * @param {Object} parameters
+   * @param {HTMLElement} sendElt
+   * @returns {Object}
+   */
+  function typeParameters(parameters, sendElt) {
+    var typed = Object.assign({}, parameters)
+    var scope = sendElt.form || sendElt
+    var inputs = scope.matches('input[name]') ? [scope] : Array.from(scope.querySelectorAll('input[name]'))
+    forEach(inputs, function(input) {
+      var convert = null
+      if (input.type === 'number' || input.type === 'range') {
+        convert = function(value) { return value === '' ? null : Number(value) }
+      } else if (input.type === 'checkbox' && !input.hasAttribute('value')) {
+        convert = function() { return true }
+      }
+      if (convert && Object.prototype.hasOwnProperty.call(typed, input.name)) {
+        var value = typed[input.name]
+        typed[input.name] = Array.isArray(value)
+          ? value.map(function(item) { return typeof item === 'string' ? convert(item) : item })
+          : typeof value === 'string' ? convert(value) : value
+      }
+    })
+    return typed
+  }
+
+  /**
+   * encodeMessage encodes the message of a ws-send element with a registered encoder, and
+   * passes the result to the callback.
+   *
+   * @param {HTMLElement} sendElt
+   * @param {string} encoderName
+   * @param {string | Object} message
+   * @param {(data: *) => void} callback
+   */
+  function encodeMessage(sendElt, encoderName, message, callback) {
+    var onError = function(error) {
+      api.triggerErrorEvent(sendElt, 'htmx:wsEncodeError', { error, encoder: encoderName, message })
+    }
+    var encoder = encoders[encoderName]
+    if (!encoder) {
+      onError(new Error('unknown ws-encoder "' + encoderName + '"'))
+      return
+    }
+
+    var data
+    try {
+      data = encoder(message, sendElt)
+    } catch (error) {
+      onError(error)
+      return
+    }
+    if (data && typeof data.then === 'function') {
+      data.then(callback, onError)
+    } else {
+      callback(data)
+    }
+  }
+
+  /**
+   * @typedef {Object} PendingReply
+   * @property {HTMLElement} sendElt
+   * @property {HTMLElement[]} indicators the elements with the htmx-request class until the reply arrives
+   * @property {number} [timeout]
+   */
+
+  /**
+   * getReplyTimeout returns how long a `ws-reply` element waits for the reply to its messages,
+   * 10s by default, 0 for no timeout, or null if the element doesn't wait for replies.
+   *
+   * @param {HTMLElement} sendElt
+   * @returns {number | null}
+   */
+  function getReplyTimeout(sendElt) {
+    var replyElt = api.getClosestMatch(sendElt, function(elt) {
+      return api.hasAttribute(elt, 'ws-reply')
+    })
+    var replyAttr = replyElt ? api.getAttributeValue(replyElt, 'ws-reply') : null
+    if (replyElt == null || replyAttr === 'false') {
+      return null
+    }
+    var timeout = htmx.parseInterval(replyAttr)
+    return timeout === undefined ? 10000 : timeout
+  }
+
+  /**
+   * waitForReply registers a request sent by a `ws-reply` element, and shows it as pending
+   * with the htmx-request class, on the element or its `hx-indicator`, until the reply
+   * arrives or the timeout expires.
+   *
+   * @param {WebSocketWrapper} socketWrapper
+   * @param {string} requestId
+   * @param {HTMLElement} sendElt
+   * @param {number} timeout
+   */
+  function waitForReply(socketWrapper, requestId, sendElt, timeout) {
+    var indicators = findIndicators(sendElt)
+    forEach(indicators, function(indicator) {
+      var internalData = api.getInternalData(indicator)
+      internalData.requestCount = (internalData.requestCount || 0) + 1
+      indicator.classList.add(htmx.config.requestClass)
+    })
+
+    /** @type {PendingReply} */
+    var pendingReply = { sendElt, indicators }
+    if (timeout > 0) {
+      pendingReply.timeout = setTimeout(function() {
+        removePendingReply(socketWrapper, requestId)
+        api.triggerEvent(sendElt, 'htmx:wsReplyTimeout', { requestId, socketWrapper: socketWrapper.publicInterface })
+      }, timeout)
+    }
+    socketWrapper.pendingReplies[requestId] = pendingReply
+  }
+
+  /**
+   * findIndicators resolves the `hx-indicator` of a ws-reply element the way htmx does for
+   * requests: the attribute may be inherited, `this` is the element declaring it, and the
+   * extended selectors start from the sending element.
+   *
+   * @param {HTMLElement} sendElt
+   * @returns {Element[]}
+   */
+  function findIndicators(sendElt) {
+    var indicatorSelector = api.getClosestAttributeValue(sendElt, 'hx-indicator')
+    if (!indicatorSelector) {
+      return [sendElt]
+    }
+    if (indicatorSelector === 'this') {
+      return [api.findThisElement(sendElt, 'hx-indicator')]
+    }
+    var indicators = []
+    forEach(indicatorSelector.split(','), function(selector) {
+      selector = selector.trim()
+      if (/^(closest|find|next|previous|body|root|host|global)\b/.test(selector)) {
+        var indicator = api.querySelectorExt(sendElt, selector)
+        indicator instanceof Element && indicators.push(indicator)
+      } else {
+        forEach(document.querySelectorAll(selector), function(indicator) {
+          indicators.push(indicator)
+        })
+      }
+    })
+    return indicators
+  }
+
+  /**
+   * @param {WebSocketWrapper} socketWrapper
+   * @param {string} requestId
+   * @returns {PendingReply | undefined}
+   */
+  function removePendingReply(socketWrapper, requestId) {
+    var pendingReply = socketWrapper.pendingReplies[requestId]
+    if (pendingReply) {
+      delete socketWrapper.pendingReplies[requestId]
+      clearTimeout(pendingReply.timeout)
+      forEach(pendingReply.indicators, function(indicator) {
+        var internalData = api.getInternalData(indicator)
+        internalData.requestCount = (internalData.requestCount || 0) - 1
+        if (internalData.requestCount <= 0) {
+          indicator.classList.remove(htmx.config.requestClass)
+        }
+      })
+    }
+    return pendingReply
+  }
+
+  /**
+   * handleReply swaps the reply to a `ws-reply` request into the `hx-target` of the element
+   * that sent it, using its `hx-swap`.  Replies to unknown or expired requests are ignored.
+   *
+   * @param {HTMLElement} socketElt
+   * @param {string} requestId
+   * @param {string} html
+   * @param {string} [swap] overrides the swap style of the element
+   */
+  function handleReply(socketElt, requestId, html, swap) {
+    var socketWrapper = api.getInternalData(socketElt).webSocket
+    var pendingReply = removePendingReply(socketWrapper, requestId)
+    if (!pendingReply || !api.bodyContains(pendingReply.sendElt)) {
+      return
+    }
+
+    var sendElt = pendingReply.sendElt
+    api.withExtensions(sendElt, function(extension) {
+      html = extension.transformResponse(html, null, sendElt)
+    })
+    api.swap(api.getTarget(sendElt), html, api.getSwapSpecification(sendElt, swap), { contextElement: sendElt })
+    api.triggerEvent(sendElt, 'htmx:wsReply', { requestId, message: html, socketWrapper: socketWrapper.publicInterface })
+  }
+
+  /**
+   * subscribeElement adds a `ws-subscribe` element to the subscribers of its channels, and
+   * subscribes to the channels it is the first subscriber of.
+   *
+   * @param {HTMLElement} elt
+   */
+  function subscribeElement(elt) {
+    var internalData = api.getInternalData(elt)
+    var socketElt = api.getClosestMatch(elt, hasWebSocket)
+    // the legacy hx-ws elements are found along with the ws-subscribe ones
+    var subscribe = api.getAttributeValue(elt, 'ws-subscribe')
+    if (internalData.wsSubscription || !socketElt || subscribe == null) {
+      return
+    }
+
+    var channels = subscribe.split(',').map(function(channel) {
+      return channel.trim()
+    }).filter(function(channel) {
+      return channel !== ''
+    })
+    /** @type {WebSocketWrapper} */
+    var socketWrapper = api.getInternalData(socketElt).webSocket
+    // the socket element may be cleaned up before this element, so the wrapper is kept here
+    internalData.wsSubscription = { socketWrapper, socketElt, channels }
+    forEach(channels, function(channel) {
+      var subscribers = socketWrapper.subscriptions[channel]
+      if (!subscribers) {
+        subscribers = socketWrapper.subscriptions[channel] = []
+        if (isConnectionReady(socketWrapper)) {
+          sendSubscription(socketWrapper, socketElt, 'subscribe', channel)
+        }
+      }
+      subscribers.push(elt)
+    })
+  }
+
+  /**
+   * unsubscribeElement removes a `ws-subscribe` element from the subscribers of its channels,
+   * and unsubscribes from the channels left without subscribers.
+   *
+   * @param {HTMLElement} elt
+   */
+  function unsubscribeElement(elt) {
+    var internalData = api.getInternalData(elt)
+    var socketWrapper = internalData.wsSubscription.socketWrapper
+    var socketElt = internalData.wsSubscription.socketElt
+    var channels = internalData.wsSubscription.channels
+    delete internalData.wsSubscription
+
+    forEach(channels, function(channel) {
+      var subscribers = (socketWrapper.subscriptions[channel] || []).filter(function(subscriber) {
+        return subscriber !== elt
+      })
+      if (subscribers.length > 0) {
+        socketWrapper.subscriptions[channel] = subscribers
+      } else {
+        delete socketWrapper.subscriptions[channel]
+        if (socketWrapper.state !== 'disposed' && isConnectionReady(socketWrapper)) {
+          sendSubscription(socketWrapper, socketElt, 'unsubscribe', channel)
+        }
+      }
+    })
+  }
+
+  /**
+   * sendSubscription sends a {"type": "subscribe", "channel": "orders"} frame, or the message
+   * set by a listener of the htmx:wsSubscribe or htmx:wsUnsubscribe event.
+   *
+   * @param {WebSocketWrapper} socketWrapper
+   * @param {HTMLElement} socketElt
+   * @param {'subscribe' | 'unsubscribe'} type
+   * @param {string} channel
+   */
+  function sendSubscription(socketWrapper, socketElt, type, channel) {
+    var subscription = {
+      channel,
+      message: JSON.stringify({ type, channel }),
+      socketWrapper: socketWrapper.publicInterface
+    }
+    var eventName = type === 'subscribe' ? 'htmx:wsSubscribe' : 'htmx:wsUnsubscribe'
+    if (api.triggerEvent(socketElt, eventName, subscription)) {
+      socketWrapper.sendImmediately(subscription.message)
+    }
+  }
+
+  /**
+   * @param {WebSocketWrapper} socketWrapper
+   * @returns {boolean}
+   */
+  function isConnectionReady(socketWrapper) {
+    return socketWrapper.socket.readyState === socketWrapper.socket.OPEN && !socketWrapper.authenticating
+  }
+
+  /**
+   * handleChannelMessage swaps the html of a message tagged with a channel into the targets
+   * of the elements subscribed to that channel, and ignores it if there are none.
+   *
+   * @param {HTMLElement} socketElt
+   * @param {string} channel
+   * @param {string} html
+   * @param {string} [swap] the swap style, hx-swap of the subscribed elements by default
+   */
+  function handleChannelMessage(socketElt, channel, html, swap) {
+    /** @type {WebSocketWrapper} */
+    var socketWrapper = api.getInternalData(socketElt).webSocket
+    var subscribers = (socketWrapper.subscriptions[channel] || []).filter(function(subscriber) {
+      return api.bodyContains(subscriber)
+    })
+    forEach(subscribers, function(subscriber) {
+      var content = html
+      api.withExtensions(subscriber, function(extension) {
+        content = extension.transformResponse(content, null, subscriber)
+      })
+      api.swap(api.getTarget(subscriber), content, api.getSwapSpecification(subscriber, swap), { contextElement: subscriber })
+    })
+    api.triggerEvent(socketElt, 'htmx:wsChannelMessage', { channel, message: html, subscribers, socketWrapper: socketWrapper.publicInterface })
+  }
+
   /**
    * getWebSocketReconnectDelay is the default easing function for WebSocket reconnects.
    * @param {number} retryCount // The number of retries that have already taken place
@@ -401,10 +1627,27 @@ This extension adds support for WebSockets to htmx.  See /www/extensions/ws.md f
     logError('htmx.config.wsReconnectDelay must either be a function or the string "full-jitter"')
   }
 
+  /**
+   * shouldReconnect checks whether a closed socket should reconnect, according to
+   * htmx.config.wsReconnectCodes, which is either an array of close codes, or a function
+   * receiving the close event.
+   *
+   * @param {CloseEvent} closeEvent
+   * @returns {boolean}
+   */
+  function shouldReconnect(closeEvent) {
+    /** @type {number[] | ((closeEvent: CloseEvent) => boolean)} */
+    var codes = htmx.config.wsReconnectCodes
+    if (typeof codes === 'function') {
+      return !!codes(closeEvent)
+    }
+    return codes.indexOf(closeEvent.code) >= 0
+  }
+
   /**
    * maybeCloseWebSocketSource checks to the if the element that created the WebSocket
-   * still exists in the DOM.  If NOT, then the WebSocket is closed and this function
-   * returns TRUE.  If the element DOES EXIST, then no action is taken, and this function
+   * still exists in the DOM.  If NOT, then the element stops owning the WebSocket, which is
+   * closed if it has no other owner, and this function returns TRUE.  If the element DOES EXIST, then no action is taken, and this function
    * returns FALSE.
    *
    * @param {*} elt
@@ -414,22 +1657,49 @@ This extension adds support for WebSockets to htmx.  See /www/extensions/ws.md f
     if (!api.bodyContains(elt)) {
       var internalData = api.getInternalData(elt)
       if (internalData.webSocket) {
-        internalData.webSocket.close()
+        releaseWebSocket(internalData.webSocket, elt)
       }
       return true
     }
     return false
   }
 
+  /**
+   * isAuthAcknowledgement checks whether a message received while authenticating is the
+   * acknowledgement given by `ws-auth-ack`: either the message itself, or the type of a JSON
+   * message, e.g. ws-auth-ack="connection_ack" for {"type": "connection_ack"}.  Without
+   * `ws-auth-ack`, the application acknowledges with `socketWrapper.authenticated()`.
+   *
+   * @param {HTMLElement} socketElt
+   * @param {*} message
+   * @returns {boolean}
+   */
+  function isAuthAcknowledgement(socketElt, message) {
+    var ack = api.getAttributeValue(socketElt, 'ws-auth-ack')
+    if (!ack || typeof message !== 'string') {
+      return false
+    }
+    if (message === ack) {
+      return true
+    }
+    try {
+      var parsed = JSON.parse(message)
+      return parsed != null && parsed.type === ack
+    } catch (e) {
+      return false
+    }
+  }
+
   /**
    * createWebSocket is the default method for creating new WebSocket objects.
    * it is hoisted into htmx.createWebSocket to be overridden by the user, if needed.
    *
    * @param {string} url
+   * @param {string[]} [protocols] the subprotocols given by the `ws-protocols` attribute
    * @returns WebSocket
    */
-  function createWebSocket(url) {
-    var sock = new WebSocket(url, [])
+  function createWebSocket(url, protocols) {
+    var sock = new WebSocket(url, protocols || [])
     sock.binaryType = htmx.config.wsBinaryType
     return sock
   }
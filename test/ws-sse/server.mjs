@@ -1,14 +1,21 @@
 import * as http from "node:http";
 import * as path from "node:path";
 import * as fs from "node:fs/promises";
+import { fileURLToPath } from "node:url";
 
 import { WebSocketServer } from "ws";
 
 // Define some string and number constants
 const HOSTNAME = "127.0.0.1";
 const PORT = 8080;
-const DATA = JSON.parse(await fs.readFile("./static/data.json"));
-const SITE_BASE = (await fs.readFile("./static/site-base.html")).toString();
+const STATIC_DIR = fileURLToPath(new URL("./static/", import.meta.url));
+const DATA = JSON.parse(await fs.readFile(path.join(STATIC_DIR, "data.json")));
+const SITE_BASE = (
+  await fs.readFile(path.join(STATIC_DIR, "site-base.html"))
+).toString();
+
+// The number of open fixture streams by path, served at /connections
+const connections = {};
 
 // Define the websockets
 const ECHO_WS = createWebSocket((ws) => {
@@ -28,7 +35,7 @@ const HEARTBEAT_WS = createWebSocket(
 );
 
 // Define the server
-const server = http.createServer(async (req, res) => {
+export const server = http.createServer(async (req, res) => {
   try {
     await handleRequest(req, res);
   } catch (error) {
@@ -59,6 +66,10 @@ async function handleRequest(req, res) {
   if (req.url === "/users.html")
     return makeStream(req, res, DATA.users, formatUser);
 
+  // Fixture streams, configured by their query parameters
+  if (req.url.startsWith("/stream/")) return serveFixtureStream(req, res);
+  if (req.url === "/connections") return serveConnections(req, res);
+
   // Randomly-generated HTML
   if (req.url === "/page/random") return serveRandomHtml(req, res);
 
@@ -76,11 +87,13 @@ server.on("upgrade", (request, socket, head) => {
   if (request.url === "/heartbeat") HEARTBEAT_WS.handle(request, socket, head);
 });
 
-// Start listening
-server.listen(PORT, HOSTNAME, () => {
-  console.log("Loading the WebSocket / Server-Side Event Tests...");
-  console.log(`You can run them at http://${HOSTNAME}:${PORT}/`);
-});
+// Start listening, unless the server is imported by a test
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  server.listen(PORT, HOSTNAME, () => {
+    console.log("Loading the WebSocket / Server-Side Event Tests...");
+    console.log(`You can run them at http://${HOSTNAME}:${PORT}/`);
+  });
+}
 
 function createWebSocket(connectionFunc, closeFunc) {
   const server = new WebSocketServer({ noServer: true });
@@ -181,6 +194,84 @@ function makeStream(req, res, arr, formatFunc, numEvents = 0) {
   });
 }
 
+function serveFixtureStream(req, res) {
+  const url = new URL(req.url, "thismessage:/");
+  const params = url.searchParams;
+  if (params.has("status")) {
+    res.statusCode = parseInt(params.get("status"), 10);
+    return res.end();
+  }
+
+  const count = parseInt(params.get("count") ?? "10", 10);
+  const intervalLength = parseInterval(params.get("interval") ?? "100ms");
+  const eventName = params.get("event");
+  const data = params.get("data") ?? "<p>{id}</p>";
+  const lastEventId =
+    req.headers["last-event-id"] ?? params.get("lastEventId");
+  let id = lastEventId ? parseInt(lastEventId, 10) || 0 : 0;
+
+  res.writeHead(200, {
+    "Content-Type": "text/event-stream",
+    Connection: "keep-alive",
+    "Cache-Control": "no-store",
+    "Access-Control-Allow-Origin": req.headers.origin ?? "*",
+    "Access-Control-Allow-Credentials": "true",
+  });
+  // Let the browser open the stream before the first event
+  res.flushHeaders();
+  if (params.has("retry")) {
+    res.write(`retry: ${parseInterval(params.get("retry"))}\n\n`);
+  }
+
+  connections[url.pathname] = (connections[url.pathname] ?? 0) + 1;
+
+  const interval = setInterval(() => {
+    if (id >= count) {
+      clearInterval(interval);
+      if (params.has("close")) {
+        res.write(`event: ${params.get("close")}\ndata:\n\n`);
+      }
+      if (params.has("drop")) res.destroy();
+      return;
+    }
+
+    id++;
+    const lines = data.replaceAll("{id}", id).split("\n");
+    res.write(
+      `${eventName ? `event: ${eventName}\n` : ""}id: ${id}\n` +
+        lines.map((line) => `data: ${line}\n`).join("") +
+        "\n"
+    );
+  }, intervalLength);
+
+  // Comments keep the connection alive without dispatching any event
+  const pingInterval = params.has("ping")
+    ? setInterval(
+        () => res.write(": ping\n\n"),
+        parseInterval(params.get("ping"))
+      )
+    : null;
+
+  res.on("close", () => {
+    clearInterval(interval);
+    clearInterval(pingInterval);
+    connections[url.pathname]--;
+  });
+}
+
+function serveConnections(_req, res) {
+  res.setHeader("Content-Type", "application/json");
+  res.setHeader("Cache-Control", "no-store");
+  res.end(JSON.stringify(connections));
+}
+
+// Parses intervals like 250ms or 1s into milliseconds
+function parseInterval(str) {
+  if (str.endsWith("ms")) return parseFloat(str);
+  if (str.endsWith("s")) return parseFloat(str) * 1000;
+  return parseFloat(str);
+}
+
 function serveRandomHtml(_req, res) {
   const page_num = Math.trunc(Math.random() * 10 ** 10);
   const html_num = Math.trunc(Math.random() * 10 ** 10);
@@ -0,0 +1,83 @@
+import { describe, it, before, after } from "node:test";
+import * as assert from "node:assert";
+
+import { server } from "./server.mjs";
+
+describe("fixture streams", () => {
+  let baseUrl;
+
+  before(
+    () =>
+      new Promise((resolve) => {
+        server.listen(0, "127.0.0.1", () => {
+          baseUrl = `http://127.0.0.1:${server.address().port}`;
+          resolve();
+        });
+      })
+  );
+
+  after(() => {
+    server.closeAllConnections();
+    return new Promise((resolve) => server.close(resolve));
+  });
+
+  it("sends numbered events, then the close event", async () => {
+    const response = await fetch(
+      `${baseUrl}/stream/a?count=2&interval=1ms&event=e1&close=done`
+    );
+    assert.strictEqual(
+      response.headers.get("Content-Type"),
+      "text/event-stream"
+    );
+
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let body = "";
+    while (!body.includes("event: done")) {
+      body += decoder.decode((await reader.read()).value, { stream: true });
+    }
+    await reader.cancel();
+
+    assert.strictEqual(
+      body,
+      "event: e1\nid: 1\ndata: <p>1</p>\n\n" +
+        "event: e1\nid: 2\ndata: <p>2</p>\n\n" +
+        "event: done\ndata:\n\n"
+    );
+  });
+
+  it("resumes after the Last-Event-ID and drops the connection", async () => {
+    const response = await fetch(
+      `${baseUrl}/stream/b?count=3&interval=1ms&data={id}&drop`,
+      { headers: { "Last-Event-ID": "2" } }
+    );
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let body = "";
+    await assert.rejects(async () => {
+      for (;;) {
+        const result = await reader.read();
+        if (result.done) return;
+        body += decoder.decode(result.value, { stream: true });
+      }
+    });
+    assert.strictEqual(body, "id: 3\ndata: 3\n\n");
+  });
+
+  it("counts the open streams by path", async () => {
+    const getConnections = async () =>
+      (await fetch(`${baseUrl}/connections`)).json();
+    const controller = new AbortController();
+    await fetch(`${baseUrl}/stream/c?count=0`, { signal: controller.signal });
+    assert.strictEqual((await getConnections())["/stream/c"], 1);
+
+    controller.abort();
+    await new Promise((resolve) => setTimeout(resolve, 50));
+    assert.strictEqual((await getConnections())["/stream/c"], 0);
+  });
+
+  it("responds with the status parameter", async () => {
+    const response = await fetch(`${baseUrl}/stream/d?status=503`);
+    assert.strictEqual(response.status, 503);
+  });
+});